@@ -1,12 +1,35 @@
-import { useState } from 'react'
-import { Brain, Trophy, Target, CheckCircle, XCircle, BarChart3, ChevronDown, ChevronRight, Copy } from 'lucide-react'
+import { useState, useEffect } from 'react'
+import { Brain, Trophy, Target, CheckCircle, XCircle, BarChart3, ChevronDown, ChevronRight, Copy, Lightbulb, History } from 'lucide-react'
+import { worldsAPI } from '../services/api'
 
 function SolverDetails({ solution, selectedWorld }) {
   const [expandedSections, setExpandedSections] = useState({
     overview: true,
     breakdown: true,
+    history: false,
     responses: false
   })
+  const [expandedReasoning, setExpandedReasoning] = useState({})
+  const [runDrift, setRunDrift] = useState(null)
+
+  // Run history of this model and solver mode on the world
+  useEffect(() => {
+    if (!solution) {
+      setRunDrift(null)
+      return
+    }
+
+    let cancelled = false
+    worldsAPI.getWorldSolutionRuns(solution.world_id, { model: solution.model, solver_mode: solution.solver_mode })
+      .then(data => {
+        if (!cancelled) setRunDrift(data.drift?.[0] || null)
+      })
+      .catch(err => {
+        console.error('Error fetching solution runs:', err)
+        if (!cancelled) setRunDrift(null)
+      })
+    return () => { cancelled = true }
+  }, [solution])
 
   if (!solution) {
     return (
@@ -27,6 +50,13 @@ function SolverDetails({ solution, selectedWorld }) {
     }))
   }
 
+  const toggleReasoning = (questionId) => {
+    setExpandedReasoning(prev => ({
+      ...prev,
+      [questionId]: !prev[questionId]
+    }))
+  }
+
   const copyToClipboard = (text) => {
     navigator.clipboard.writeText(text)
   }
@@ -173,6 +203,7 @@ function SolverDetails({ solution, selectedWorld }) {
                   const responseData = solution.raw_responses?.[question] || {}
                   const modelAnswer = typeof responseData === 'object' ? responseData.answer : responseData
                   const explanation = typeof responseData === 'object' ? responseData.explanation : null
+                  const reasoning = typeof responseData === 'object' ? responseData.reasoning : null
                   const correctAnswer = getCorrectAnswer(question, selectedWorld)
                   return (
                     <div key={question} className="bg-gray-50 rounded-lg p-4">
@@ -209,6 +240,34 @@ function SolverDetails({ solution, selectedWorld }) {
                           <p className="mt-2 text-gray-700 leading-relaxed">{typeof explanation === 'object' && explanation !== null ? JSON.stringify(explanation) : String(explanation || '')}</p>
                         </div>
                       )}
+                      {reasoning && (
+                        <div className="mt-3">
+                          <button
+                            onClick={() => toggleReasoning(question)}
+                            className="flex items-center space-x-1 text-sm font-medium text-gray-700 hover:text-primary-600"
+                          >
+                            {expandedReasoning[question] ?
+                              <ChevronDown className="w-4 h-4" /> :
+                              <ChevronRight className="w-4 h-4" />
+                            }
+                            <Lightbulb className="w-4 h-4" />
+                            <span>Reasoning trace</span>
+                            <span className="text-gray-400 font-normal">({reasoning.length.toLocaleString()} chars)</span>
+                          </button>
+                          {expandedReasoning[question] && (
+                            <div className="mt-2 bg-white rounded border-l-4 border-amber-300 p-3 relative">
+                              <button
+                                onClick={() => copyToClipboard(reasoning)}
+                                className="absolute top-2 right-2 p-1 text-gray-400 hover:text-gray-700 transition-colors"
+                                title="Copy reasoning"
+                              >
+                                <Copy className="w-4 h-4" />
+                              </button>
+                              <pre className="text-xs text-gray-700 whitespace-pre-wrap max-h-96 overflow-y-auto pr-8">{reasoning}</pre>
+                            </div>
+                          )}
+                        </div>
+                      )}
                     </div>
                   )
                 })}
@@ -217,6 +276,72 @@ function SolverDetails({ solution, selectedWorld }) {
           </div>
         )}
 
+        {/* Run History */}
+        {runDrift && runDrift.runs > 0 && (
+          <div>
+            <button
+              onClick={() => toggleSection('history')}
+              className="flex items-center space-x-2 text-lg font-medium text-gray-900 mb-4 hover:text-primary-600"
+            >
+              {expandedSections.history ?
+                <ChevronDown className="w-5 h-5" /> :
+                <ChevronRight className="w-5 h-5" />
+              }
+              <History className="w-5 h-5" />
+              <span>Run History ({runDrift.runs})</span>
+            </button>
+
+            {expandedSections.history && (
+              <div className="space-y-3">
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  <div className="bg-gray-50 rounded-lg p-3">
+                    <span className="text-sm text-gray-600">First run:</span>
+                    <span className="ml-2 font-medium text-gray-900">{runDrift.first_score ?? 'n/a'}</span>
+                  </div>
+                  <div className="bg-gray-50 rounded-lg p-3">
+                    <span className="text-sm text-gray-600">Latest run:</span>
+                    <span className="ml-2 font-medium text-gray-900">{runDrift.latest_score ?? 'n/a'}</span>
+                  </div>
+                  <div className="bg-gray-50 rounded-lg p-3">
+                    <span className="text-sm text-gray-600">Drift:</span>
+                    <span className={`ml-2 font-medium ${
+                      runDrift.change > 0 ? 'text-green-700' : runDrift.change < 0 ? 'text-red-700' : 'text-gray-900'
+                    }`}>
+                      {runDrift.change === null ? 'n/a' : `${runDrift.change > 0 ? '+' : ''}${runDrift.change}`}
+                    </span>
+                  </div>
+                  <div className="bg-gray-50 rounded-lg p-3">
+                    <span className="text-sm text-gray-600">Range:</span>
+                    <span className="ml-2 font-medium text-gray-900">
+                      {runDrift.min_score === null ? 'n/a' : `${runDrift.min_score}–${runDrift.max_score}`}
+                    </span>
+                  </div>
+                </div>
+
+                {runDrift.history.slice().reverse().map((run) => (
+                  <div key={run.run_id} className="flex items-center space-x-3 bg-gray-50 rounded-lg p-3">
+                    <span className="text-sm text-gray-600 w-48">{formatDate(run.createdAt)}</span>
+                    <div className="flex-1 bg-gray-200 rounded-full h-2">
+                      <div className="bg-primary-600 h-2 rounded-full" style={{ width: `${run.score || 0}%` }}></div>
+                    </div>
+                    <span className={`text-sm font-semibold w-10 text-right ${getScoreColor(run.score || 0)}`}>
+                      {run.score ?? 'n/a'}
+                    </span>
+                    <span className={`text-xs w-10 text-right ${
+                      run.change > 0 ? 'text-green-700' : run.change < 0 ? 'text-red-700' : 'text-gray-400'
+                    }`}>
+                      {run.change === null ? '' : `${run.change > 0 ? '+' : ''}${run.change}`}
+                    </span>
+                    <span className="text-xs text-gray-500 w-24 text-right">
+                      {run.prompt_version ? `prompt ${run.prompt_version}` : ''}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Raw Responses */}
         {solution.raw_responses && Object.keys(solution.raw_responses).length > 0 && (
           <div>
@@ -84,6 +84,19 @@ class ApiService {
     }
   }
 
+  /**
+   * Get the run history of a CVRB – not cached, new runs arrive while the page is open
+   */
+  async getWorldSolutionRuns(worldId, params = {}) {
+    try {
+      const data = await this.dataProvider.getWorldSolutionRuns(worldId, params)
+      return data
+    } catch (error) {
+      console.error('Error fetching CVRB solution runs:', error)
+      throw error
+    }
+  }
+
   /**
    * Delete a CVRB and all its solutions
    */
@@ -167,6 +180,7 @@ export const worldsAPI = {
   getValidWorlds: () => apiService.getValidWorlds(),
   getRecentWorlds: (limit) => apiService.getRecentWorlds(limit),
   getWorldSolutions: (worldId) => apiService.getWorldSolutions(worldId),
+  getWorldSolutionRuns: (worldId, params) => apiService.getWorldSolutionRuns(worldId, params),
   deleteWorld: (worldId) => apiService.deleteWorld(worldId),
   updateWorldSet: (worldId, setNumber) => apiService.updateWorldSet(worldId, setNumber),
   getSolverStats: (params) => apiService.getSolverStats(params),
@@ -64,6 +64,14 @@ class HttpService {
     return response.data
   }
 
+  /**
+   * Get every solver run on a CVRB with the score drift per model
+   */
+  async getWorldSolutionRuns(worldId, params = {}) {
+    const response = await httpClient.get(`/worlds/${worldId}/solution-runs`, { params })
+    return response.data
+  }
+
   /**
    * Delete a CVRB and all its solutions
    */
@@ -1,6 +1,29 @@
 import { callLLM } from '../../openrouter/openRouter.js';
+import { getPromptVersion } from '../../openrouter/prompt_template.js';
+import { modelRegistry, ModelRoles } from '../../openrouter/models.js';
 import { JSONUtils } from '../../tools/json_utils.js';
+import { lintWorld, WorldLintError } from './world_linter.js';
 
+/** Longest JSON rendering of a single result value in the repair prompt */
+const MAX_DIFF_VALUE_CHARS = 2000;
+
+/** World parts a repair may replace */
+const REPAIRABLE_FIELDS = ['description', 'spec', 'return_schema', 'code'];
+
+/**
+ * Render disagreements for the repair prompt, truncating huge result values
+ *
+ * @param {Array<Object>} disagreements - Validator.getDisagreements output
+ * @returns {string}
+ */
+function formatDisagreements(disagreements) {
+  const valueKeys = new Set(['parameters', 'creatorResult', 'result', 'creator', 'validator', 'expected']);
+  return JSON.stringify(disagreements, (key, value) => {
+    if (!valueKeys.has(key) || value === undefined) return value;
+    const text = JSON.stringify(value);
+    return text.length > MAX_DIFF_VALUE_CHARS ? `${text.slice(0, MAX_DIFF_VALUE_CHARS)}… (truncated)` : value;
+  }, 2);
+}
 
 /**
  * Creator class for generating CVRB worlds
@@ -8,8 +31,8 @@ import { JSONUtils } from '../../tools/json_utils.js';
 export class Creator {
   constructor() {
     
-    // Default validator models
-    this.validatorModels = ['anthropic/claude-3-7-sonnet'];
+    // Default validator models from the model registry
+    this.validatorModels = modelRegistry.defaults(ModelRoles.VALIDATOR).map(model => model.apiName);
   }
 
   /**
@@ -18,6 +41,8 @@ export class Creator {
    * @param {Array} models - Array of model apinames to use
    * @param {Object} options - Options for task creation
    * @param {Array} options.validatorModels - Array of validator model apinames to use
+   * @param {string} options.correlationId - Tags every LLM call so usage can be attributed to the saved world
+   * @param {number} [options.lintRepairAttempts=1] - Fix attempts for worlds that fail the static lint
    * @returns {Promise<Array>} - Array of created worlds
    */
   async createWorlds(models = [], options = {}) {
@@ -43,13 +68,32 @@ export class Creator {
         //console.log(`Generating CVRB using API model: ${modelApiName}`);
         
         // Generate CVRB
-        const world = await this.generateWorld({
-          modelApiName
+        let world = await this.generateWorld({
+          modelApiName,
+          correlationId: options.correlationId
+        });
+
+        // Reject or fix malformed worlds before the validators are paid for
+        world = await this.lintAndFixWorld(world, {
+          modelApiName,
+          maxAttempts: options.lintRepairAttempts ?? 1,
+          correlationId: options.correlationId
         });
         
         // create validation code for CVRB
         // Add validation code to CVRB object
-        world.validationCode = await this.createValidationWorldCode(world, validatorModels);
+        world.validationCode = await this.createValidationWorldCode(world, validatorModels, {
+          correlationId: options.correlationId
+        });
+
+        // Record which prompt revisions produced the world and its validators
+        world.promptVersions = {
+          creator: await getPromptVersion('world-creation.txt'),
+          validator: await getPromptVersion('validation-setup.txt')
+        };
+        if (world.lintRepairs > 0) {
+          world.promptVersions.lint_fix = await getPromptVersion('world-lint-fix.txt');
+        }
         
         createdWorlds.push(world);
       }
@@ -67,6 +111,7 @@ export class Creator {
    * 
    * @param {Object} options - Configuration options
    * @param {string} options.modelApiName - Model API name to use
+   * @param {string} options.correlationId - Usage attribution id for the LLM call
    * @returns {Promise<Object>} - The generated CVRB
    */
   async generateWorld(options = {}) {
@@ -82,12 +127,15 @@ export class Creator {
       
     
       // Call LLM to create CVRB
-      const worldResponse = await callLLM('world-creation.txt', {}, modelApiName);
+      const worldResponse = await callLLM('world-creation.txt', {}, modelApiName, {}, {
+        role: 'creator',
+        correlationId: options.correlationId
+      });
       
       console.log('Raw CVRB received, parsing...');
       
       // Parse the response using the utility method
-      const parsedWorld = JSONUtils.tryParseJson(worldResponse);
+      const parsedWorld = JSONUtils.tryParseJson(worldResponse.content);
       
       if (!parsedWorld) {
         throw new Error('Failed to parse CVRB response into valid JSON');
@@ -102,14 +150,84 @@ export class Creator {
     }
   }
 
+  /**
+   * Lint a generated world and ask the creator to fix the problems found
+   *
+   * @param {Object} world - Parsed world from generateWorld
+   * @param {Object} options
+   * @param {string} options.modelApiName - Model that fixes the world
+   * @param {number} options.maxAttempts - Fix attempts before the world is rejected (0 = reject right away)
+   * @param {string} options.correlationId - Usage attribution id for the LLM calls
+   * @returns {Promise<Object>} - The world that passed the lint, with `lintRepairs` set
+   * @throws {WorldLintError} - When problems remain after the last attempt
+   */
+  async lintAndFixWorld(world, options = {}) {
+    let lint = lintWorld(world);
+
+    for (let attempt = 1; !lint.valid && attempt <= options.maxAttempts; attempt++) {
+      console.log(`World failed lint (${lint.problems.length} problems), fix attempt ${attempt}/${options.maxAttempts}...`);
+      lint.problems.forEach(problem => console.log(`  - ${problem.message}`));
+
+      world = await this.fixLintProblems(world, lint.problems, { ...options, attempt });
+      world.lintRepairs = attempt;
+      lint = lintWorld(world);
+    }
+
+    if (!lint.valid) {
+      const messages = lint.problems.map(problem => problem.message);
+      throw new WorldLintError(`World failed lint: ${messages.join('; ')}`, lint.problems);
+    }
+
+    world.lintRepairs = world.lintRepairs || 0;
+    return world;
+  }
+
+  /**
+   * Send lint problems back to the creator and parse the corrected world
+   *
+   * @param {Object} world - World that failed the lint
+   * @param {Array<{rule: string, message: string}>} problems - lintWorld problems
+   * @param {Object} options
+   * @param {string} options.modelApiName - Model that fixes the world
+   * @param {number} options.attempt - Fix attempt (1-based)
+   * @param {number} options.maxAttempts - Attempts allowed in total
+   * @param {string} options.correlationId - Usage attribution id for the LLM call
+   * @returns {Promise<Object>} - The corrected world
+   */
+  async fixLintProblems(world, problems, options = {}) {
+    const { lintRepairs, ...worldJson } = world;
+
+    const fixResponse = await callLLM('world-lint-fix.txt', {
+      world_json: JSON.stringify(worldJson, null, 2),
+      problems: problems.map(problem => `- [${problem.rule}] ${problem.message}`).join('\n'),
+      attempt: String(options.attempt),
+      max_attempts: String(options.maxAttempts)
+    }, options.modelApiName, {}, {
+      role: 'creator',
+      correlationId: options.correlationId
+    });
+
+    const fixedWorld = JSONUtils.tryParseJson(fixResponse.content);
+    if (!fixedWorld || typeof fixedWorld.world !== 'object' || fixedWorld.world === null) {
+      throw new Error('Failed to parse lint fix response into valid JSON');
+    }
+    if (typeof fixedWorld.world.code === 'string') {
+      fixedWorld.world.code = JSONUtils.cleanJavaScriptCode(fixedWorld.world.code);
+    }
+
+    return fixedWorld;
+  }
+
   /**
    * Generate validation code using independent LLM validators
    * 
    * @param {Object} world - The CVRB to create validation code for
    * @param {Array} validatorModels - Array of validator model apinames to use
+   * @param {Object} options - Additional options
+   * @param {string} options.correlationId - Usage attribution id for the LLM calls
    * @returns {Promise<Array>} - Array of validation code strings
    */
-  async createValidationWorldCode(world, validatorModels = []) {
+  async createValidationWorldCode(world, validatorModels = [], options = {}) {
     try {
       // Use provided validator models or default to class validators
       if (!validatorModels || validatorModels.length === 0) {
@@ -136,10 +254,13 @@ export class Creator {
         
         console.log(`Sending validation code generation request with variables:`, promptVars);
         
-        const validatorResponse = await callLLM('validation-setup.txt', promptVars, validatorApiName);
+        const validatorResponse = await callLLM('validation-setup.txt', promptVars, validatorApiName, {}, {
+          role: 'validator',
+          correlationId: options.correlationId
+        });
         console.log('Validation code generated');
         
-        validators.push(validatorResponse);
+        validators.push(validatorResponse.content);
       }
       
       console.log(`Generated ${validators.length} validation implementations`);
@@ -151,4 +272,57 @@ export class Creator {
     }
   }
 
+  /**
+   * Ask the creator (or a fixer model) to clarify the spec or fix the code of a world
+   * that validators disagreed with
+   *
+   * @param {Object} world - The CVRB ({ world: { name, description, spec, return_schema, code } })
+   * @param {Array<Object>} disagreements - Rejected questions (Validator.getDisagreements)
+   * @param {Object} options
+   * @param {string} options.modelApiName - Model that performs the repair
+   * @param {number} options.round - Repair round (1-based)
+   * @param {number} options.maxRounds - Rounds allowed in total
+   * @param {string} options.correlationId - Usage attribution id for the LLM call
+   * @returns {Promise<{diagnosis: string, changes: Object}>} - Replaced world parts, keyed like world.world
+   */
+  async repairWorld(world, disagreements, options = {}) {
+    console.log(`Repairing world "${world.world.name}" with ${options.modelApiName} (round ${options.round}/${options.maxRounds})...`);
+
+    const promptVars = {
+      world_name: world.world.name,
+      world_description: world.world.description,
+      world_spec: JSON.stringify(world.world.spec, null, 2),
+      return_schema: JSON.stringify(world.world.return_schema || {}, null, 2),
+      world_code: world.world.code,
+      disagreements: formatDisagreements(disagreements),
+      round: String(options.round),
+      max_rounds: String(options.maxRounds)
+    };
+
+    const repairResponse = await callLLM('world-repair.txt', promptVars, options.modelApiName, {}, {
+      role: 'creator',
+      correlationId: options.correlationId
+    });
+
+    const parsedRepair = JSONUtils.tryParseJson(repairResponse.content);
+    if (!parsedRepair || typeof parsedRepair !== 'object') {
+      throw new Error('Failed to parse repair response into valid JSON');
+    }
+
+    const changes = {};
+    for (const field of REPAIRABLE_FIELDS) {
+      if (parsedRepair[field] !== undefined && parsedRepair[field] !== null && parsedRepair[field] !== '') {
+        changes[field] = parsedRepair[field];
+      }
+    }
+    if (typeof changes.code === 'string') {
+      changes.code = JSONUtils.cleanJavaScriptCode(changes.code);
+    }
+
+    return {
+      diagnosis: typeof parsedRepair.diagnosis === 'string' ? parsedRepair.diagnosis : '',
+      changes
+    };
+  }
+
 } 
\ No newline at end of file
@@ -1,9 +1,15 @@
+import crypto from 'crypto';
 import { Creator } from './creator.js';
 import { ValidationReporter } from '../validate/validation_reporter.js';
 import { Validator } from '../validate/validator.js';
 import { WorldHelpers } from '../../models/World.js';
-import { ModelsConfig } from '../../openrouter/models.js';
+import { modelRegistry, ModelRoles } from '../../openrouter/models.js';
 import World from '../../models/World.js';
+import { LLMCallHelpers } from '../../models/LLMCall.js';
+import { getPromptVersion } from '../../openrouter/prompt_template.js';
+
+/** World parts validators implement from – changing any of them needs fresh validator code */
+const VALIDATOR_INPUTS = ['description', 'spec', 'return_schema'];
 
 /**
  * Helper class for CVRB creation operations
@@ -17,11 +23,12 @@ export class CreatorController {
 
   /**
    * Extract API name from model config object or return string as-is
-   * @param {string|Object} model - Model API name string or ModelsConfig object
+   * @param {string|Object} model - Model API name, registry key / alias, or registry entry
    * @returns {string} - API name
    */
   _extractApiName(model) {
-    return typeof model === 'string' ? model : model.apiName;
+    // Registry keys and aliases resolve to the apiName stored in the database
+    return typeof model === 'string' ? (modelRegistry.get(model)?.apiName || model) : model.apiName;
   }
 
   /**
@@ -31,6 +38,9 @@ export class CreatorController {
    * @param {Object} params - Parameters for CVRB creation
    * @param {Array} params.validatorModels - Array of validator model API names or ModelsConfig objects
    * @param {boolean} params.runValidation - Whether to run validation (default: true)
+   * @param {number} [params.repairRounds] - Repair rounds after failed validation (default: REPAIR_ROUNDS or 0)
+   * @param {string|Object} [params.fixerModel] - Model that repairs the world (default: REPAIR_MODEL or the creator)
+   * @param {number} [params.lintRepairAttempts] - Fix attempts for worlds failing the static lint (default: LINT_REPAIR_ATTEMPTS or 1)
    * @returns {Promise<Object>} - Created CVRB data with database record
    */
   async createWorld(model, params = {}) {
@@ -39,12 +49,15 @@ export class CreatorController {
       const creatorApiName = this._extractApiName(model);
       const validatorApiNames = params.validatorModels 
         ? params.validatorModels.map(model => this._extractApiName(model))
-        : [ModelsConfig.O3.apiName];
+        : modelRegistry.defaults(ModelRoles.VALIDATOR).map(model => model.apiName);
 
       // Set default parameters
       const options = {
         validatorModels: validatorApiNames,
-        runValidation: params.runValidation !== false // Default to true
+        runValidation: params.runValidation !== false, // Default to true
+        repairRounds: parseInt(params.repairRounds ?? process.env.REPAIR_ROUNDS ?? 0, 10) || 0,
+        fixerModel: this._extractApiName(params.fixerModel || process.env.REPAIR_MODEL || creatorApiName),
+        lintRepairAttempts: parseInt(params.lintRepairAttempts ?? process.env.LINT_REPAIR_ATTEMPTS ?? 1, 10) || 0
       };
 
       console.log('🌍 Creating new CVRB...');
@@ -52,8 +65,12 @@ export class CreatorController {
       console.log(`🔍 Validators: ${options.validatorModels.join(', ')}`);
 
       // Step 1: Create the CVRB using the Creator
+      // The world has no id yet – its LLM calls are grouped by correlation id until it is saved
+      const correlationId = crypto.randomUUID();
       const createdWorlds = await this.creator.createWorlds([creatorApiName], {
-        validatorModels: options.validatorModels
+        validatorModels: options.validatorModels,
+        lintRepairAttempts: options.lintRepairAttempts,
+        correlationId
       });
 
       if (!createdWorlds || createdWorlds.length === 0) {
@@ -75,6 +92,7 @@ export class CreatorController {
           name: world.world.name,
           description: world.world.description,
           spec: world.world.spec,
+          return_schema: world.world.return_schema,
           questions: normalizedQuestions
         },
         world_code: world.world.code,
@@ -82,7 +100,8 @@ export class CreatorController {
           codes: world.validationCode || [],
           models: options.validatorModels
         },
-        world_name: world.world.name
+        world_name: world.world.name,
+        prompt_versions: world.promptVersions || {}
       };
 
       // Step 3: Save to database (always save)
@@ -90,10 +109,26 @@ export class CreatorController {
       const dbRecord = await WorldHelpers.createWorld(worldData);
       console.log(`✅ World saved to database with ID: ${dbRecord.id}`);
 
+      // Attribute the creation and validator calls to the saved world
+      await this._attributeUsage(correlationId, dbRecord.id);
+
       // Step 4: run the validation code vs CVRB creator code
       let validationResult = null;
       if (options.runValidation) {
         validationResult = await this._runValidation(model, dbRecord);
+
+        // Step 5: feed disagreements back to the creator / fixer and re-validate
+        if (!validationResult.success && options.repairRounds > 0) {
+          try {
+            validationResult = await this._repairWorld(model, world, dbRecord, validationResult, {
+              ...options,
+              correlationId
+            });
+          } finally {
+            // The fixer and regenerated validator calls were made after the world was saved
+            await this._attributeUsage(correlationId, dbRecord.id);
+          }
+        }
       }
 
       // Return comprehensive result
@@ -101,6 +136,7 @@ export class CreatorController {
         world: world,
         dbRecord: dbRecord,
         validation: validationResult,
+        repairRounds: dbRecord.repair_rounds || [],
         success: true
       };
 
@@ -113,6 +149,120 @@ export class CreatorController {
     }
   }
 
+  /**
+   * Attribute the LLM calls tagged with a correlation id to a saved world
+   *
+   * @param {string} correlationId - Correlation id of the creation run
+   * @param {number} worldId - Saved world id
+   * @returns {Promise<void>}
+   */
+  async _attributeUsage(correlationId, worldId) {
+    try {
+      await LLMCallHelpers.assignWorld(correlationId, worldId);
+    } catch (usageError) {
+      console.error('⚠️  Failed to attribute LLM usage to world:', usageError.message);
+    }
+  }
+
+  /**
+   * Repair loop: send the spec, creator code and structured disagreements to the fixer model,
+   * apply its changes and re-validate, until the world validates or the rounds run out.
+   * Every round is stored in `worlds.repair_rounds`.
+   *
+   * @param {string|Object} model - Creator model
+   * @param {Object} world - Created CVRB (updated in place with the repairs)
+   * @param {Object} dbRecord - Saved world record (updated in place)
+   * @param {Object} validationResult - Result of the failed validation
+   * @param {Object} options - { repairRounds, fixerModel, validatorModels, correlationId }
+   * @returns {Promise<Object>} - Result of the last validation
+   */
+  async _repairWorld(model, world, dbRecord, validationResult, options) {
+    const rounds = [];
+    const repairPrompt = await getPromptVersion('world-repair.txt');
+    let current = validationResult;
+
+    for (let round = 1; round <= options.repairRounds && !current.success; round++) {
+      console.log(`🛠️  Repair round ${round}/${options.repairRounds} with ${options.fixerModel}`);
+
+      // World-level failures (crashing code, non-determinism) go first
+      const disagreements = [...(current.disagreements || [])];
+      if (current.reason || current.error) {
+        disagreements.unshift({ error: current.reason || current.error });
+      }
+
+      const entry = {
+        round,
+        model: options.fixerModel,
+        prompt_version: repairPrompt,
+        timestamp: new Date().toISOString(),
+        disagreements
+      };
+      rounds.push(entry);
+
+      let repair;
+      try {
+        repair = await this.creator.repairWorld(world, disagreements, {
+          modelApiName: options.fixerModel,
+          round,
+          maxRounds: options.repairRounds,
+          correlationId: options.correlationId
+        });
+      } catch (repairError) {
+        console.error(`❌ Repair round ${round} failed: ${repairError.message}`);
+        entry.error = repairError.message;
+        const updatedRecord = await WorldHelpers.updateRepair(dbRecord.id, { ...dbRecord, repair_rounds: rounds });
+        Object.assign(dbRecord, updatedRecord);
+        break;
+      }
+
+      const changed = Object.keys(repair.changes);
+      entry.diagnosis = repair.diagnosis;
+      entry.changed = changed;
+      // Keep what the round replaced so every version of the world can be reconstructed
+      entry.previous = Object.fromEntries(changed.map(field => [field, world.world[field] ?? null]));
+      Object.assign(world.world, repair.changes);
+      console.log(`📝 Diagnosis: ${repair.diagnosis || 'n/a'} (changed: ${changed.join(', ') || 'nothing'})`);
+
+      // Validators implement the world from its spec – a new spec needs new implementations
+      if (changed.some(field => VALIDATOR_INPUTS.includes(field))) {
+        world.validationCode = await this.creator.createValidationWorldCode(world, options.validatorModels, {
+          correlationId: options.correlationId
+        });
+      }
+
+      const updatedRecord = await WorldHelpers.updateRepair(dbRecord.id, {
+        world_code: world.world.code,
+        world_info: {
+          ...dbRecord.world_info,
+          description: world.world.description,
+          spec: world.world.spec,
+          return_schema: world.world.return_schema
+        },
+        validation_code: {
+          codes: world.validationCode || [],
+          models: options.validatorModels
+        },
+        repair_rounds: rounds
+      });
+      Object.assign(dbRecord, updatedRecord);
+
+      current = await this._runValidation(model, dbRecord);
+      entry.validation = {
+        success: current.success === true,
+        reason: current.reason || current.error || null,
+        agreement: current.agreement || null
+      };
+
+      const savedRecord = await WorldHelpers.updateRepair(dbRecord.id, { ...dbRecord, repair_rounds: rounds });
+      Object.assign(dbRecord, savedRecord);
+    }
+
+    console.log(current.success
+      ? `🛠️  World salvaged after ${rounds.length} repair round(s)`
+      : `🛠️  World not salvaged after ${rounds.length} repair round(s)`);
+    return current;
+  }
+
   /**
    * Private method to handle validation using the Validator class
    */
@@ -152,8 +302,14 @@ export class CreatorController {
       if (validationResult.success) {
         console.log(`✅ Validation successful`);
         console.log(`Agreement: ${validationResult.agreement.agreed}/${validationResult.agreement.total} questions (${validationResult.agreement.percentage.toFixed(2)}%)`);
+        if (validationResult.droppedQuestions?.length > 0) {
+          console.log(`✂️  Dropped questions: ${validationResult.droppedQuestions.map(q => q.id).join(', ')}`);
+        }
       } else {
         console.log(`❌ Validation failed`);
+        if (validationResult.reason) {
+          console.log(`Reason: ${validationResult.reason}`);
+        }
         if (validationResult.agreement) {
           console.log(`Agreement: ${validationResult.agreement.agreed}/${validationResult.agreement.total} questions (${validationResult.agreement.percentage.toFixed(2)}%)`);
         }
@@ -161,7 +317,7 @@ export class CreatorController {
 
       console.log(`📊 Validation report generated and saved to database`);
 
-      // 👉 Append answers to each question in world_info
+      // 👉 Append answers to each question in world_info; dropped questions are kept but not scored
       const agreedAnswers = validationResult.agreedAnswers || {};
       if (Array.isArray(dbRecord.world_info?.questions)) {
         const questionsWithAnswers = dbRecord.world_info.questions.map((q) => {
@@ -169,6 +325,7 @@ export class CreatorController {
           return {
             ...q,
             answer: answerData ? answerData.expectedResult : 'n/a',
+            accepted: Boolean(answerData),
           };
         });
         const updatedInfo = { ...dbRecord.world_info, questions: questionsWithAnswers };
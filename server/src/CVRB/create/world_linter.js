@@ -0,0 +1,230 @@
+import { DIFFICULTY_LEVELS, normalizeDifficulty } from '../helpers/difficulty.js';
+import { parseWorkedExample } from '../validate/worked_example.js';
+
+export { DIFFICULTY_LEVELS, normalizeDifficulty };
+
+/**
+ * Static checks on a generated world, run before any validator LLM calls are spent on it.
+ * The rules mirror the deliverable described in prompts/world-creation.txt.
+ */
+
+/** Spec fields the creation prompt asks for */
+export const REQUIRED_SPEC_FIELDS = [
+  'entities',
+  'state_vars',
+  'initialisation',
+  'step_function',
+  'termination',
+  'edge_cases',
+  'tie_breakers',
+  'pseudocode',
+  'worked_example'
+];
+
+export const MAX_CODE_LINES = 400;
+
+/**
+ * Pattern matching `name` only as a free reference – not as a property (`obj.process`),
+ * an object key (`{ process: 1 }`), a method definition (`process(cell) {`) or the
+ * name of a function / class declaration
+ * @param {string} name
+ * @returns {{test: function(string): boolean}}
+ */
+function freeReference(name) {
+  const pattern = new RegExp(`\\b${name}\\b`, 'g');
+  return {
+    test(code) {
+      for (const match of code.matchAll(pattern)) {
+        if (code[match.index - 1] === '$') continue;
+        const before = code.slice(0, match.index).trimEnd();
+        const after = code.slice(match.index + name.length);
+        if (before.endsWith('.')) continue;
+        if (/\b(function\*?|class)$/.test(before)) continue;
+        if (/^\s*:(?!:)/.test(after) && /[{,]$/.test(before)) continue;
+        if (/^\s*\([^()]*\)\s*\{/.test(after)) continue;
+        return true;
+      }
+      return false;
+    }
+  };
+}
+
+/** Identifiers world code and validator_fn must not use: [label, pattern] */
+const FORBIDDEN_IDENTIFIERS = [
+  ['Math.random', /\bMath\s*\.\s*random\b/],
+  ['Date', freeReference('Date')],
+  ['require', /\brequire\s*\(/],
+  ['import', /(^|[^.\w$])import\b/m],
+  ['process', freeReference('process')]
+];
+
+export class WorldLintError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Array<{rule: string, message: string}>} problems - Lint problems that remained
+   */
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'WorldLintError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Remove comments and the contents of string literals so that mentions like
+ * "// no Math.random here" or 'process the cells' are not flagged.
+ * Template literal substitutions (`${...}`) are code and kept.
+ * @param {string} code
+ * @returns {string}
+ */
+function stripCommentsAndStrings(code) {
+  let output = '';
+  // Open template literals, each with the brace depth of its current substitution
+  const templates = [];
+  let i = 0;
+
+  while (i < code.length) {
+    const ch = code[i];
+    const next = code[i + 1];
+
+    if (ch === '/' && next === '/') {
+      while (i < code.length && code[i] !== '\n') i++;
+    } else if (ch === '/' && next === '*') {
+      const end = code.indexOf('*/', i + 2);
+      i = end === -1 ? code.length : end + 2;
+    } else if (ch === '"' || ch === "'") {
+      i++;
+      while (i < code.length && code[i] !== ch && code[i] !== '\n') i += code[i] === '\\' ? 2 : 1;
+      output += ch + ch;
+      i++;
+    } else if (ch === '`' || (ch === '}' && templates.length > 0 && templates[templates.length - 1] === 0)) {
+      // Start of a template literal, or back in its text after a substitution
+      if (ch === '}') templates.pop();
+      output += '`';
+      i++;
+      while (i < code.length && code[i] !== '`' && !(code[i] === '$' && code[i + 1] === '{')) i += code[i] === '\\' ? 2 : 1;
+      if (code[i] === '$') {
+        templates.push(0);
+        output += '${';
+        i += 2;
+      } else {
+        output += '`';
+        i++;
+      }
+    } else {
+      if (templates.length > 0 && ch === '{') templates[templates.length - 1]++;
+      if (templates.length > 0 && ch === '}') templates[templates.length - 1]--;
+      output += ch;
+      i++;
+    }
+  }
+  return output;
+}
+
+/**
+ * Forbidden identifiers used in a piece of code
+ * @param {string} code
+ * @returns {string[]}
+ */
+function forbiddenIdentifiers(code) {
+  const stripped = stripCommentsAndStrings(code);
+  return FORBIDDEN_IDENTIFIERS.filter(([, pattern]) => pattern.test(stripped)).map(([label]) => label);
+}
+
+const isBlank = value => value === undefined || value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (typeof value === 'object' && Object.keys(value).length === 0);
+
+/**
+ * Lint a parsed world-creation response
+ *
+ * @param {Object} world - Parsed response ({ world: { name, description, spec, return_schema, code }, questions })
+ * @returns {{valid: boolean, problems: Array<{rule: string, message: string}>}}
+ */
+export function lintWorld(world) {
+  const problems = [];
+  const problem = (rule, message) => problems.push({ rule, message });
+
+  const body = world?.world;
+  if (!body || typeof body !== 'object') {
+    problem('structure', 'Response has no "world" object');
+    return { valid: false, problems };
+  }
+
+  for (const field of ['name', 'description', 'code']) {
+    if (isBlank(body[field])) problem('structure', `world.${field} is missing`);
+  }
+
+  // Spec
+  if (!body.spec || typeof body.spec !== 'object' || Array.isArray(body.spec)) {
+    problem('spec', 'world.spec is missing or not an object');
+  } else {
+    for (const field of REQUIRED_SPEC_FIELDS) {
+      if (isBlank(body.spec[field])) problem('spec', `world.spec.${field} is missing or empty`);
+    }
+    if (!isBlank(body.spec.worked_example) && !parseWorkedExample(body.spec.worked_example)) {
+      problem('worked_example', 'world.spec.worked_example needs the "parameters" and "expected" result of the traced run');
+    }
+  }
+
+  if (isBlank(body.return_schema)) {
+    problem('return_schema', 'world.return_schema is missing');
+  }
+
+  // Code
+  if (typeof body.code === 'string' && body.code.trim() !== '') {
+    const lines = body.code.trim().split('\n').length;
+    if (lines > MAX_CODE_LINES) {
+      problem('code_size', `world.code has ${lines} lines (limit ${MAX_CODE_LINES})`);
+    }
+    if (!/\bclass\s+Simulation\b/.test(body.code)) {
+      problem('code', 'world.code does not declare class Simulation');
+    }
+    const forbidden = forbiddenIdentifiers(body.code);
+    if (forbidden.length > 0) {
+      problem('forbidden', `world.code uses forbidden identifiers: ${forbidden.join(', ')}`);
+    }
+  }
+
+  // Questions – at the root, or under world for some responses
+  const questions = world.questions ?? body.questions;
+  if (!Array.isArray(questions) || questions.length === 0) {
+    problem('questions', 'No questions provided');
+    return { valid: problems.length === 0, problems };
+  }
+
+  const ids = new Map();
+  const levels = new Map(DIFFICULTY_LEVELS.map(level => [level, 0]));
+  questions.forEach((question, index) => {
+    const label = question?.id || `#${index + 1}`;
+
+    if (isBlank(question?.id)) {
+      problem('question_ids', `Question #${index + 1} has no id`);
+    } else {
+      ids.set(question.id, (ids.get(question.id) || 0) + 1);
+    }
+
+    const level = normalizeDifficulty(question?.difficulty);
+    if (!levels.has(level)) {
+      problem('difficulty', `Question ${label} has unknown difficulty "${question?.difficulty}" (expected: ${DIFFICULTY_LEVELS.join(', ')})`);
+    } else {
+      levels.set(level, levels.get(level) + 1);
+    }
+
+    if (typeof question?.validator_fn === 'string') {
+      const forbidden = forbiddenIdentifiers(question.validator_fn);
+      if (forbidden.length > 0) {
+        problem('forbidden', `Question ${label} validator_fn uses forbidden identifiers: ${forbidden.join(', ')}`);
+      }
+    }
+  });
+
+  for (const [id, count] of ids) {
+    if (count > 1) problem('question_ids', `Question id "${id}" is used ${count} times`);
+  }
+  for (const [level, count] of levels) {
+    if (count !== 1) problem('difficulty', `Expected exactly one "${level}" question, found ${count}`);
+  }
+
+  return { valid: problems.length === 0, problems };
+}
@@ -0,0 +1,269 @@
+/**
+ * Answer comparison shared by validation (creator vs validators), solving and the solver
+ * statistics, so that an answer is scored the same way everywhere.
+ *
+ * Rules, refined by the world's `return_schema` when it describes the compared value:
+ *  - numbers: integers compare exactly, floats within a tolerance
+ *  - "42" and 42, "true" and true, '[1,2]' and [1, 2] are the same answer
+ *  - strings: trimmed, case-insensitive
+ *  - objects: deep equality, key order ignored
+ *  - arrays: deep equality in order, or order-insensitive for sets
+ *
+ * `return_schema` is whatever the creator wrote: a JSON Schema, an example-style object
+ * ({ "steps": "integer", "visited": "set of strings" }), or a JSON string of either.
+ * Schema fields are also looked up by name, so `sim.run(p).visited` picks up the rule
+ * for `visited` even though the answer is no longer the full run() result.
+ */
+
+/** Floats match when |a - b| <= max(absolute, relative * max(|a|, |b|)) */
+export const DEFAULT_TOLERANCE = {
+  absolute: 1e-9,
+  relative: 1e-6
+};
+
+const ANY = { kind: 'any' };
+
+const JSON_SCHEMA_TYPES = new Set(['object', 'array', 'integer', 'number', 'string', 'boolean', 'null']);
+const JSON_SCHEMA_KEYS = new Set([
+  'type', 'properties', 'items', 'required', 'description', 'title', 'format', 'enum', 'default',
+  'examples', 'minimum', 'maximum', 'minItems', 'maxItems', 'uniqueItems', 'additionalProperties',
+  'multipleOf', 'tolerance'
+]);
+
+const NUMERIC_STRING = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+/**
+ * Unwrap the envelopes solver and expected answers are stored in ({ value }, { expectedResult })
+ *
+ * @param {*} answer
+ * @returns {*}
+ */
+export function answerValue(answer) {
+  if (answer && typeof answer === 'object' && !Array.isArray(answer)) {
+    if ('value' in answer) return answer.value;
+    if ('expectedResult' in answer) return answer.expectedResult;
+  }
+  return answer;
+}
+
+/**
+ * Rule for a free-text type description such as "integer", "float" or "array of sets of strings"
+ *
+ * @param {string} text
+ * @returns {Object}
+ */
+function ruleFromDescription(text) {
+  const description = text.trim().toLowerCase();
+  const ofMatch = description.match(/^(?:an?\s+)?(array|list|set)\s+of\s+(.+)$/);
+  if (ofMatch) {
+    return { kind: ofMatch[1] === 'set' ? 'set' : 'array', items: ruleFromDescription(ofMatch[2]) };
+  }
+  if (/\bset\b|unordered|any order/.test(description)) return { kind: 'set', items: ANY };
+  if (/\barray\b|\blist\b|\[\]/.test(description)) return { kind: 'array', items: ANY };
+  if (/\bfloat|\bdouble\b|\bdecimal\b|\breal\b/.test(description)) return { kind: 'float' };
+  if (/\bint(eger)?s?\b/.test(description)) return { kind: 'int' };
+  if (/\bnumbers?\b/.test(description)) return { kind: 'number' };
+  if (/\bbool(ean)?s?\b/.test(description)) return { kind: 'boolean' };
+  if (/\bstr(ing)?s?\b/.test(description)) return { kind: 'string' };
+  return ANY;
+}
+
+/**
+ * Whether a schema node is JSON Schema rather than an example object that has a `type` field
+ * @param {Object} node
+ * @returns {boolean}
+ */
+function isJsonSchema(node) {
+  return typeof node.type === 'string' &&
+    JSON_SCHEMA_TYPES.has(node.type) &&
+    Object.keys(node).every(key => JSON_SCHEMA_KEYS.has(key));
+}
+
+/**
+ * Compile a schema node into a comparison rule
+ *
+ * @param {*} node
+ * @returns {Object} - { kind, items?, properties?, tolerance? }
+ */
+function compileNode(node) {
+  if (node === null || node === undefined) return ANY;
+  if (typeof node === 'string') return ruleFromDescription(node);
+  if (typeof node === 'number') return Number.isInteger(node) ? { kind: 'number' } : { kind: 'float' };
+  if (typeof node === 'boolean') return { kind: 'boolean' };
+  if (Array.isArray(node)) return { kind: 'array', items: node.length > 0 ? compileNode(node[0]) : ANY };
+  if (typeof node !== 'object') return ANY;
+
+  if (isJsonSchema(node)) {
+    switch (node.type) {
+      case 'integer':
+        return { kind: 'int' };
+      case 'number': {
+        const float = ['float', 'double'].includes(node.format) || typeof node.tolerance === 'number';
+        return { kind: float ? 'float' : 'number', tolerance: node.tolerance };
+      }
+      case 'boolean':
+        return { kind: 'boolean' };
+      case 'string':
+        return { kind: 'string' };
+      case 'array':
+        return { kind: node.uniqueItems ? 'set' : 'array', items: compileNode(node.items) };
+      case 'object': {
+        const properties = {};
+        for (const [key, value] of Object.entries(node.properties || {})) properties[key] = compileNode(value);
+        return { kind: 'object', properties };
+      }
+      default:
+        return ANY;
+    }
+  }
+
+  const properties = {};
+  for (const [key, value] of Object.entries(node)) properties[key] = compileNode(value);
+  return { kind: 'object', properties };
+}
+
+/**
+ * Index object-property rules by field name (first occurrence wins)
+ */
+function indexFields(rule, fields = {}) {
+  if (rule.properties) {
+    for (const [key, value] of Object.entries(rule.properties)) {
+      if (!(key in fields)) fields[key] = value;
+      indexFields(value, fields);
+    }
+  }
+  if (rule.items) indexFields(rule.items, fields);
+  return fields;
+}
+
+/**
+ * Compile a world's return_schema
+ *
+ * @param {*} returnSchema - JSON Schema, example object, description string, or JSON text of those
+ * @returns {{root: Object, fields: Object}}
+ */
+export function compileSchema(returnSchema) {
+  let schema = returnSchema;
+  if (typeof schema === 'string') {
+    try {
+      schema = JSON.parse(schema);
+    } catch {
+      // Free-text description
+    }
+  }
+  const root = compileNode(schema);
+  return { root, fields: indexFields(root) };
+}
+
+/**
+ * Coerce a string answer towards the type of the value it is compared with
+ */
+function coerce(value, other) {
+  if (typeof value !== 'string' || typeof other === 'string') return value;
+  const text = value.trim();
+  if (typeof other === 'number' && NUMERIC_STRING.test(text)) return Number(text);
+  if (typeof other === 'boolean' && /^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+  if (other && typeof other === 'object' && /^[[{]/.test(text)) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return value;
+    }
+  }
+  return value;
+}
+
+function numbersMatch(a, b, rule, tolerance) {
+  if (rule.kind === 'int') return a === b;
+  if (rule.kind !== 'float' && Number.isInteger(a) && Number.isInteger(b)) return a === b;
+  const absolute = typeof rule.tolerance === 'number' ? rule.tolerance : tolerance.absolute;
+  return Math.abs(a - b) <= Math.max(absolute, tolerance.relative * Math.max(Math.abs(a), Math.abs(b)));
+}
+
+/**
+ * The rule for a value: the schema's own rule when its shape fits, otherwise none
+ */
+function fitRule(rule, value) {
+  if (rule.kind === 'object' && (!value || typeof value !== 'object' || Array.isArray(value))) return ANY;
+  if ((rule.kind === 'array' || rule.kind === 'set') && !Array.isArray(value)) return ANY;
+  return rule;
+}
+
+function valuesMatch(expected, actual, rule, schema, tolerance) {
+  const a = coerce(expected, actual);
+  const b = coerce(actual, expected);
+
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a === null || a === undefined) && (b === null || b === undefined);
+  }
+
+  if (typeof a === 'number' && typeof b === 'number') {
+    if (Number.isNaN(a) || Number.isNaN(b)) return Number.isNaN(a) && Number.isNaN(b);
+    return numbersMatch(a, b, rule, tolerance);
+  }
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a.trim().toLowerCase() === b.trim().toLowerCase();
+  }
+  if (typeof a === 'boolean' || typeof b === 'boolean') {
+    return a === b;
+  }
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    if (a.length !== b.length) return false;
+    const itemRule = rule.items || ANY;
+    if (rule.kind === 'set') {
+      // Order-insensitive: every expected item pairs with a distinct actual item
+      const unused = b.map((_, index) => index);
+      return a.every(item => {
+        const position = unused.findIndex(index => valuesMatch(item, b[index], fitRule(itemRule, item), schema, tolerance));
+        if (position === -1) return false;
+        unused.splice(position, 1);
+        return true;
+      });
+    }
+    return a.every((item, index) => valuesMatch(item, b[index], fitRule(itemRule, item), schema, tolerance));
+  }
+
+  if (typeof a === 'object' && typeof b === 'object' && !Array.isArray(a) && !Array.isArray(b)) {
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every(key => {
+      if (!Object.prototype.hasOwnProperty.call(b, key)) return false;
+      const keyRule = rule.properties?.[key] || schema.fields[key] || ANY;
+      return valuesMatch(a[key], b[key], fitRule(keyRule, a[key]), schema, tolerance);
+    });
+  }
+
+  return false;
+}
+
+/**
+ * Build a comparator for one world
+ *
+ * @param {*} [returnSchema] - The world's return_schema (optional)
+ * @param {Object} [options]
+ * @param {Object} [options.tolerance] - Overrides for DEFAULT_TOLERANCE
+ * @returns {Function} - (expected, actual) => boolean; undefined on either side never matches
+ */
+export function createAnswerComparator(returnSchema = null, options = {}) {
+  const schema = compileSchema(returnSchema);
+  const tolerance = { ...DEFAULT_TOLERANCE, ...(options.tolerance || {}) };
+
+  return (expected, actual) => {
+    if (expected === undefined || actual === undefined) return false;
+    return valuesMatch(expected, actual, fitRule(schema.root, expected), schema, tolerance);
+  };
+}
+
+/**
+ * Compare two answers under a world's return_schema
+ *
+ * @param {*} expected - Expected answer (creator result)
+ * @param {*} actual - Answer to check
+ * @param {*} [returnSchema] - The world's return_schema
+ * @param {Object} [options] - See createAnswerComparator
+ * @returns {boolean}
+ */
+export function compareAnswers(expected, actual, returnSchema = null, options = {}) {
+  return createAnswerComparator(returnSchema, options)(expected, actual);
+}
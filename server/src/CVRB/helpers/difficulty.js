@@ -0,0 +1,17 @@
+/**
+ * Question difficulty levels, as the creation prompt asks for them, shared by the world lint
+ * and the runtime budgets so that "Very_Easy" or "very-hard" mean the same level everywhere.
+ */
+
+/** One question per level is required */
+export const DIFFICULTY_LEVELS = ['very easy', 'easy', 'medium', 'hard', 'very hard'];
+
+/**
+ * Normalize a difficulty label ("Very_Easy", "very-easy") to a DIFFICULTY_LEVELS entry
+ * @param {*} difficulty
+ * @returns {string|null}
+ */
+export function normalizeDifficulty(difficulty) {
+  if (typeof difficulty !== 'string') return null;
+  return difficulty.trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+}
@@ -0,0 +1,111 @@
+import { answerValue } from './answer_comparison.js';
+
+/**
+ * Metrics over repeated attempts ("samples") of a solver at the same question:
+ *   pass@1        – share of correct samples
+ *   pass@k        – chance that at least one of k samples is correct (unbiased estimator
+ *                   over the n samples taken, Chen et al. 2021)
+ *   majority vote – the most frequent answer (self-consistency) is correct
+ *
+ * Samples that failed on infrastructure errors are not counted. Answers are grouped and
+ * checked with the answer comparator of the world (see answer_comparison.js).
+ */
+
+/**
+ * Attempts stored for a question: `samples` when several were taken, else the response itself
+ *
+ * @param {Object} response - raw_responses entry
+ * @returns {Array<Object>}
+ */
+export function responseSamples(response) {
+  if (!response) return [];
+  return Array.isArray(response.samples) && response.samples.length > 0 ? response.samples : [response];
+}
+
+/**
+ * Unbiased pass@k: 1 - C(n-c, k) / C(n, k)
+ *
+ * @param {number} n - Samples taken
+ * @param {number} c - Correct samples
+ * @param {number} k - Samples allowed (capped at n)
+ * @returns {number} - 0..1
+ */
+export function passAtK(n, c, k) {
+  if (n <= 0) return 0;
+  const draws = Math.min(k, n);
+  if (n - c < draws) return 1;
+
+  let allWrong = 1;
+  for (let i = n - c + 1; i <= n; i++) {
+    allWrong *= 1 - draws / i;
+  }
+  return 1 - allWrong;
+}
+
+/**
+ * Most frequent answer; ties go to the answer given first
+ *
+ * @param {Array} answers - Answer values
+ * @param {Function} answersMatch - (a, b) => boolean
+ * @returns {{answer: *, votes: number}|null}
+ */
+export function majorityVote(answers, answersMatch) {
+  const groups = [];
+  for (const answer of answers) {
+    const group = groups.find(candidate => answersMatch(candidate.answer, answer));
+    if (group) {
+      group.votes++;
+    } else {
+      groups.push({ answer, votes: 1 });
+    }
+  }
+  return groups.reduce((best, group) => (!best || group.votes > best.votes ? group : best), null);
+}
+
+/**
+ * Sampling metrics of one question
+ *
+ * @param {Array<Object>} samples - Attempts (see responseSamples)
+ * @param {*} expected - Expected answer
+ * @param {Function} answersMatch - (expected, actual) => boolean
+ * @param {number} [k] - pass@k draws, defaults to the number of samples
+ * @returns {{n: number, correct: number, k: number, passAt1: number, passAtK: number, majorityCorrect: boolean}|null}
+ *          - null when no sample counts
+ */
+export function questionSampleMetrics(samples, expected, answersMatch, k = null) {
+  const counted = samples.filter(sample => sample && sample.infrastructure !== true);
+  const n = counted.length;
+  if (n === 0) return null;
+
+  const answers = counted.filter(sample => sample.failed !== true).map(sample => answerValue(sample.answer));
+  const correct = answers.filter(answer => answersMatch(expected, answer)).length;
+  const vote = majorityVote(answers, answersMatch);
+  const draws = Math.min(k ?? n, n);
+
+  return {
+    n,
+    correct,
+    k: draws,
+    passAt1: correct / n,
+    passAtK: passAtK(n, correct, draws),
+    majorityCorrect: vote !== null && answersMatch(expected, vote.answer)
+  };
+}
+
+/**
+ * Mean of question metrics
+ *
+ * @param {Array<Object>} metrics - questionSampleMetrics results (nulls are skipped)
+ * @returns {{questions: number, samples: number, passAt1: number, passAtK: number, majorityVote: number}}
+ */
+export function aggregateSampleMetrics(metrics) {
+  const counted = metrics.filter(Boolean);
+  const mean = pick => (counted.length > 0 ? counted.reduce((sum, m) => sum + pick(m), 0) / counted.length : 0);
+  return {
+    questions: counted.length,
+    samples: counted.reduce((sum, m) => sum + m.n, 0),
+    passAt1: mean(m => m.passAt1),
+    passAtK: mean(m => m.passAtK),
+    majorityVote: mean(m => (m.majorityCorrect ? 1 : 0))
+  };
+}
@@ -0,0 +1,173 @@
+import { callLLM } from '../../openrouter/openRouter.js';
+import { JSONUtils } from '../../tools/json_utils.js';
+import { runInSandbox, SandboxError } from '../validate/sandbox.js';
+
+/**
+ * Agentic solving – the model works on a question over several turns. Each turn it either
+ * runs JavaScript with the `run_js` tool and reads what the script printed, or submits its
+ * final answer. Scripts run in the code sandbox (sandbox.js) without the world's reference code.
+ *
+ * One JSON object per reply (see prompts/solver-agent.txt):
+ *   { "action": "run_js", "code": "..." }
+ *   { "action": "submit", "answer": ..., "explanation": "..." }
+ *
+ * Limits per question: model turns, tool executions and the sandbox time all executions share.
+ */
+
+/** Defaults, overridable with AGENT_MAX_TURNS / AGENT_MAX_TOOL_RUNS / AGENT_TOOL_TIME_MS */
+export const DEFAULT_AGENT_SETTINGS = {
+  maxTurns: 8,        // model replies per question – the last one must submit
+  maxToolRuns: 6,     // run_js executions per question
+  toolTimeMs: 30000   // sandbox time shared by the executions of a question
+};
+
+/** Longest script output sent back to the model */
+const MAX_TOOL_OUTPUT_CHARS = 4000;
+
+const ACTION_HELP = 'Reply with one JSON object: {"action": "run_js", "code": "..."} or {"action": "submit", "answer": ..., "explanation": "..."}.';
+
+/**
+ * Resolve agent settings from defaults, env and per-call overrides
+ *
+ * @param {Object} [overrides] - { maxTurns, maxToolRuns, toolTimeMs }
+ * @returns {{maxTurns: number, maxToolRuns: number, toolTimeMs: number}}
+ * @throws {Error} - For invalid values
+ */
+export function resolveAgentSettings(overrides = {}) {
+  const read = (key, envName, min) => {
+    const raw = overrides?.[key] ?? process.env[envName];
+    if (raw === undefined || raw === null || raw === '') return DEFAULT_AGENT_SETTINGS[key];
+    const value = parseInt(raw, 10);
+    if (!Number.isFinite(value) || value < min) {
+      throw new Error(`Invalid ${envName} "${raw}" – expected an integer of at least ${min}`);
+    }
+    return value;
+  };
+
+  return {
+    maxTurns: read('maxTurns', 'AGENT_MAX_TURNS', 1),
+    maxToolRuns: read('maxToolRuns', 'AGENT_MAX_TOOL_RUNS', 0),
+    toolTimeMs: read('toolTimeMs', 'AGENT_TOOL_TIME_MS', 1)
+  };
+}
+
+/**
+ * Execute one run_js call in the sandbox
+ *
+ * @param {string} code - Script to run
+ * @param {number} timeoutMs - Time it may take
+ * @returns {Promise<{stdout: string[], error?: string, elapsedMs: number}>}
+ */
+export async function runJsTool(code, timeoutMs) {
+  const started = Date.now();
+  try {
+    const { logs } = await runInSandbox({ code, kind: 'script', questions: [], limits: { timeoutMs } });
+    return { stdout: logs, elapsedMs: Date.now() - started };
+  } catch (error) {
+    if (!(error instanceof SandboxError)) throw error;
+    return { stdout: error.logs || [], error: error.message, elapsedMs: Date.now() - started };
+  }
+}
+
+/**
+ * Tool result as shown to the model
+ * @returns {string}
+ */
+function formatToolResult(result, toolRuns, toolTimeMs, settings) {
+  let output = result.stdout.join('\n');
+  if (output.length > MAX_TOOL_OUTPUT_CHARS) {
+    output = `${output.slice(0, MAX_TOOL_OUTPUT_CHARS)}\n… (output truncated)`;
+  }
+
+  const lines = [
+    `run_js result (execution ${toolRuns}/${settings.maxToolRuns}, ${(toolTimeMs / 1000).toFixed(1)}s of ${settings.toolTimeMs / 1000}s tool time used):`,
+    'stdout:',
+    output || '(nothing printed)'
+  ];
+  if (result.error) lines.push(`error: ${result.error}`);
+  return lines.join('\n');
+}
+
+/**
+ * Run the turn loop for one question
+ *
+ * @param {Object} options
+ * @param {string} options.promptFile - Agent prompt template
+ * @param {Object} options.promptVars - Prompt variables (world, question); the limits are added here
+ * @param {string|Object} options.model - Solver model
+ * @param {Object} options.settings - Resolved agent settings
+ * @param {Object} [options.params] - Extra LLM call params (e.g. temperature)
+ * @param {Object} options.context - callLLM usage attribution
+ * @returns {Promise<Object>} - { id, answer, explanation, transcript, agent: { turns, toolRuns, toolTimeMs, finish },
+ *          reasoning, finish_reason } – answer is null when the turns ran out before a submission
+ */
+export async function runAgentLoop({ promptFile, promptVars, model, settings, params = {}, context }) {
+  const vars = {
+    ...promptVars,
+    max_turns: String(settings.maxTurns),
+    max_tool_runs: String(settings.maxToolRuns),
+    tool_time_seconds: String(settings.toolTimeMs / 1000)
+  };
+
+  const messages = [];
+  const transcript = [];
+  let toolRuns = 0;
+  let toolTimeMs = 0;
+  let response = null;
+
+  const finish = (finishKind, turns, reply = {}) => ({
+    id: promptVars.question_id,
+    answer: reply.answer ?? null,
+    explanation: typeof reply.explanation === 'string' ? reply.explanation : '',
+    transcript,
+    agent: { turns, toolRuns, toolTimeMs, finish: finishKind },
+    ...(response?.reasoning ? { reasoning: response.reasoning } : {}),
+    finish_reason: response?.finishReason ?? null
+  });
+
+  for (let turn = 1; turn <= settings.maxTurns; turn++) {
+    response = await callLLM(promptFile, vars, model, { ...params, messages }, context);
+
+    transcript.push({
+      turn,
+      role: 'assistant',
+      content: response.content,
+      ...(response.reasoning ? { reasoning: response.reasoning } : {})
+    });
+    messages.push({ role: 'assistant', content: response.content });
+
+    const reply = JSONUtils.tryParseJson(response.content);
+    const action = reply?.action ?? (reply && reply.answer !== undefined ? 'submit' : null);
+
+    if (action === 'submit') {
+      console.log(`Agent submitted an answer for ${promptVars.question_id} after ${turn} turn(s), ${toolRuns} tool run(s)`);
+      return finish('submitted', turn, reply);
+    }
+
+    let feedback;
+    if (action === 'run_js' && typeof reply.code === 'string') {
+      const remainingMs = settings.toolTimeMs - toolTimeMs;
+      if (toolRuns >= settings.maxToolRuns || remainingMs <= 0) {
+        feedback = 'Tool budget exhausted – run_js is no longer available. Submit your final answer.';
+        transcript.push({ turn, role: 'tool', refused: true });
+      } else {
+        toolRuns++;
+        const code = JSONUtils.cleanJavaScriptCode(reply.code);
+        const result = await runJsTool(code, remainingMs);
+        toolTimeMs += result.elapsedMs;
+        transcript.push({ turn, role: 'tool', code, ...result });
+        feedback = formatToolResult(result, toolRuns, toolTimeMs, settings);
+      }
+    } else {
+      feedback = `Your reply is not a valid action. ${ACTION_HELP}`;
+    }
+
+    if (turn === settings.maxTurns - 1) {
+      feedback += '\n\nThis is your last turn – submit your final answer now.';
+    }
+    messages.push({ role: 'user', content: feedback });
+  }
+
+  console.log(`Agent ran out of turns for ${promptVars.question_id}`);
+  return finish('max_turns', settings.maxTurns);
+}
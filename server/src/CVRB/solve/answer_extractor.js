@@ -0,0 +1,237 @@
+import JSON5 from 'json5';
+import { callLLM } from '../../openrouter/openRouter.js';
+import { LLMError } from '../../openrouter/llm_errors.js';
+import { JSONUtils } from '../../tools/json_utils.js';
+
+/**
+ * Answer extraction for solver responses that are not the JSON object the prompt asks for.
+ * The steps run in order and the first one that yields an object with an `answer` wins:
+ *   json      – JSONUtils.tryParseJson on the whole response (the normal case)
+ *   fenced    – a ```json / ``` fenced block anywhere in the response, last one first
+ *   trailing  – the last parsable JSON object in the response
+ *   regex     – the last parsable value after a quoted `"answer":` key
+ *   extractor – a cheap model reads the answer out of the response (only when configured,
+ *               ANSWER_EXTRACTOR_MODEL or the `extractorModel` option)
+ * The winning step is recorded with the answer as `extraction`.
+ */
+
+export const ExtractionMethods = {
+  JSON: 'json',
+  FENCED: 'fenced',
+  TRAILING: 'trailing',
+  REGEX: 'regex',
+  EXTRACTOR: 'extractor'
+};
+
+/** Solver failure kind of a response no step could read an answer from */
+export const FORMAT_ERROR_KIND = 'format';
+
+/**
+ * No answer could be extracted from a solver response
+ */
+export class AnswerExtractionError extends Error {
+  /**
+   * @param {string} message
+   * @param {Array<string>} attempts - Extraction steps that were tried
+   */
+  constructor(message, attempts) {
+    super(message);
+    this.name = 'AnswerExtractionError';
+    this.kind = FORMAT_ERROR_KIND;
+    this.attempts = attempts;
+  }
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Parsed object when it carries the given field
+ * @returns {Object|null}
+ */
+function withField(candidate, field) {
+  const parsed = JSONUtils.safeParse(candidate);
+  return isObject(parsed) && parsed[field] !== undefined ? parsed : null;
+}
+
+/**
+ * A response that is a bare JSON value (e.g. `42`, `0`, `false` or `[1, 2]`) – parsed directly,
+ * as tryParseJson treats falsy results as failures
+ * @param {string} text
+ * @returns {{found: boolean, value: *}}
+ */
+function bareValue(text) {
+  try {
+    const value = JSON5.parse(text.trim());
+    if (value !== null && !isObject(value) && typeof value !== 'string') return { found: true, value };
+  } catch {
+    // Not a bare value
+  }
+  return { found: false, value: null };
+}
+
+/**
+ * Fenced code blocks, last one first
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function fencedBlocks(text) {
+  const blocks = [...text.matchAll(/```(?:json5?|JSON)?[ \t]*\n([\s\S]*?)```/g)].map(match => match[1].trim());
+  return blocks.reverse();
+}
+
+/**
+ * The last parsable JSON object, searched from the last opening brace backwards
+ * @param {string} text
+ * @param {string} field - Field the object must carry
+ * @returns {Object|null}
+ */
+function trailingObject(text, field) {
+  for (let start = text.lastIndexOf('{'); start !== -1; start = start > 0 ? text.lastIndexOf('{', start - 1) : -1) {
+    const block = JSONUtils.extractJsonBlock(text.slice(start));
+    const parsed = block ? withField(block, field) : null;
+    if (parsed) return parsed;
+  }
+  return null;
+}
+
+/**
+ * End of the JSON value starting at `start`, respecting nesting and strings
+ * @returns {number} - Index after the value
+ */
+function valueEnd(text, start) {
+  const opener = text[start];
+  if (opener === '"' || opener === "'") {
+    for (let i = start + 1; i < text.length; i++) {
+      if (text[i] === '\\') i++;
+      else if (text[i] === opener) return i + 1;
+    }
+    return text.length;
+  }
+
+  if (opener === '{' || opener === '[') {
+    let depth = 0;
+    let quote = null;
+    for (let i = start; i < text.length; i++) {
+      const ch = text[i];
+      if (quote) {
+        if (ch === '\\') i++;
+        else if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '{' || ch === '[') {
+        depth++;
+      } else if (ch === '}' || ch === ']') {
+        depth--;
+        if (depth === 0) return i + 1;
+      }
+    }
+    return text.length;
+  }
+
+  // Scalars end at the next separator
+  const match = /[,}\]\n]/.exec(text.slice(start));
+  return match ? start + match.index : text.length;
+}
+
+/**
+ * Last parsable value after a quoted `"answer":` key in the text. Prose such as
+ * `The answer: depends on …` is not a key, and values that do not parse are skipped.
+ * @param {string} text
+ * @returns {{found: boolean, value: *}}
+ */
+function answerByRegex(text) {
+  const matches = [...text.matchAll(/"answer"\s*:\s*/g)];
+  for (const match of matches.reverse()) {
+    const start = match.index + match[0].length;
+    const raw = text.slice(start, valueEnd(text, start)).trim();
+    if (raw === '') continue;
+    try {
+      return { found: true, value: JSON5.parse(raw) };
+    } catch {
+      // Not a JSON value – try an earlier key
+    }
+  }
+  return { found: false, value: null };
+}
+
+/**
+ * Ask the extractor model for the answer in a response
+ *
+ * @param {string} text - Solver response
+ * @param {Object} options - { extractorModel, question, context }
+ * @returns {Promise<Object|null>}
+ */
+async function extractWithModel(text, { extractorModel, question, context }) {
+  const response = await callLLM('answer-extraction.txt', {
+    question: question || '',
+    response: text
+  }, extractorModel, {}, { ...context, role: 'extractor' });
+
+  const parsed = JSONUtils.tryParseJson(response.content);
+  if (!isObject(parsed) || parsed.found === false || parsed.answer === undefined || parsed.answer === null) {
+    return null;
+  }
+  return parsed;
+}
+
+/**
+ * Extract the solution object from a solver response
+ *
+ * @param {string} text - Solver response content
+ * @param {Object} [options]
+ * @param {string} [options.field='answer'] - Field that marks the solution object ('code' in code mode)
+ * @param {string|Object} [options.extractorModel] - Extractor model, defaults to ANSWER_EXTRACTOR_MODEL (none when unset)
+ * @param {string} [options.question] - Question text for the extractor model
+ * @param {Object} [options.context] - callLLM usage attribution of the extractor call
+ * @returns {Promise<{solution: Object, method: string}>}
+ * @throws {AnswerExtractionError} - When every step fails
+ */
+export async function extractSolution(text, { field = 'answer', extractorModel = process.env.ANSWER_EXTRACTOR_MODEL, question = null, context = {} } = {}) {
+  const content = typeof text === 'string' ? text : '';
+  const attempts = [ExtractionMethods.JSON];
+
+  const parsed = JSONUtils.tryParseJson(content);
+  if (isObject(parsed) && parsed[field] !== undefined) return { solution: parsed, method: ExtractionMethods.JSON };
+  // A bare JSON value is the answer itself
+  if (field === 'answer') {
+    const bare = bareValue(content);
+    if (bare.found) return { solution: { answer: bare.value }, method: ExtractionMethods.JSON };
+  }
+
+  attempts.push(ExtractionMethods.FENCED);
+  for (const block of fencedBlocks(content)) {
+    const solution = withField(block, field) ?? trailingObject(block, field);
+    if (solution) return { solution, method: ExtractionMethods.FENCED };
+  }
+
+  attempts.push(ExtractionMethods.TRAILING);
+  const trailing = trailingObject(content, field);
+  if (trailing) return { solution: trailing, method: ExtractionMethods.TRAILING };
+
+  // Only an answer can be read this way – a program needs a parsable object
+  if (field === 'answer') {
+    attempts.push(ExtractionMethods.REGEX);
+    const { found, value } = answerByRegex(content);
+    if (found) return { solution: { answer: value }, method: ExtractionMethods.REGEX };
+
+    if (extractorModel && content.trim() !== '') {
+      attempts.push(ExtractionMethods.EXTRACTOR);
+      try {
+        const extracted = await extractWithModel(content, { extractorModel, question, context });
+        if (extracted) {
+          return {
+            solution: { answer: extracted.answer, ...(extracted.explanation ? { explanation: extracted.explanation } : {}) },
+            method: ExtractionMethods.EXTRACTOR
+          };
+        }
+      } catch (error) {
+        // Provider failures (rate limits, 5xx, network, account) of the extractor model are
+        // infrastructure errors, not format failures of the solver's response
+        if (error instanceof LLMError && error.isInfrastructure) throw error;
+        console.error(`Answer extractor failed: ${error.message}`);
+      }
+    }
+  }
+
+  throw new AnswerExtractionError(`No answer could be extracted from the response (tried ${attempts.join(', ')})`, attempts);
+}
@@ -2,12 +2,55 @@ import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { callLLM } from '../../openrouter/openRouter.js';
+import { BudgetExceededError, LLMError } from '../../openrouter/llm_errors.js';
 import { JSONUtils } from '../../tools/json_utils.js';
 import { World } from '../world/world.js';
+import { answerValue, createAnswerComparator } from '../helpers/answer_comparison.js';
+import { runInSandbox, SandboxError } from '../validate/sandbox.js';
+import { resolveAgentSettings, runAgentLoop } from './agent_solver.js';
+import { AnswerExtractionError, ExtractionMethods, extractSolution } from './answer_extractor.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * How a solver answers: a JSON answer reasoned out by the model, a program the framework
+ * executes, or a multi-turn session with the run_js tool (agent_solver.js)
+ */
+export const SolverModes = {
+  REASONING: 'reasoning',
+  CODE: 'code',
+  AGENT: 'agent'
+};
+
+/** Prompt template per solver mode */
+export const SOLVER_PROMPTS = {
+  [SolverModes.REASONING]: 'solver.txt',
+  [SolverModes.CODE]: 'solver-code.txt',
+  [SolverModes.AGENT]: 'solver-agent.txt'
+};
+
+/** Time budget of a solver program per question, overridable with SOLVER_CODE_TIMEOUT_MS */
+export const DEFAULT_CODE_TIMEOUT_MS = 10000;
+
+/** Calls the program's solve(parameters) – runs as the question's validator_fn in the sandbox */
+const PROGRAM_ENTRY = 'function getAnswer(parameters) { const answer = solve(parameters); return answer === undefined ? null : answer; }';
+
+/**
+ * Last console.log line of a program, parsed as JSON when possible
+ * @param {string[]} stdout
+ * @returns {*}
+ */
+function lastPrintedValue(stdout) {
+  const last = stdout.length > 0 ? stdout[stdout.length - 1].trim() : '';
+  if (last === '') return null;
+  try {
+    return JSON.parse(last);
+  } catch {
+    return last;
+  }
+}
+
 /**
  * Solver class for solving CVRB worlds
  */
@@ -16,13 +59,28 @@ export class Solver {
    * Create a new Solver instance and load the specified CVRB
    * 
    * @param {string} worldModelName - Name of the CVRB model to load
+   * @param {Object} [options]
+   * @param {string} [options.mode='reasoning'] - SolverModes value
+   * @param {number} [options.codeTimeoutMs] - Time budget of a solver program (code mode), defaults to SOLVER_CODE_TIMEOUT_MS
+   * @param {Object} [options.agent] - Agent mode limits { maxTurns, maxToolRuns, toolTimeMs } (see agent_solver.js)
+   * @param {number} [options.temperature] - Sampling temperature sent with every solver call
    */
-  constructor(worldModelName) {
+  constructor(worldModelName, options = {}) {
     
     this.world = new World();
     this.solutions = {};
     this.solutionDir = null;
     this.worldModelName = worldModelName;
+    // DB id of the world, used to attribute LLM usage (set by SolverController)
+    this.worldId = null;
+    this.mode = options.mode || SolverModes.REASONING;
+    if (!SOLVER_PROMPTS[this.mode]) {
+      throw new Error(`Unknown solver mode "${this.mode}" – expected one of ${Object.values(SolverModes).join(', ')}`);
+    }
+    this.codeTimeoutMs = options.codeTimeoutMs ?? (parseInt(process.env.SOLVER_CODE_TIMEOUT_MS, 10) || DEFAULT_CODE_TIMEOUT_MS);
+    this.agentSettings = this.mode === SolverModes.AGENT ? resolveAgentSettings(options.agent) : null;
+    // Extra LLM call params, e.g. the temperature of repeated samples
+    this.callParams = options.temperature !== undefined ? { temperature: options.temperature } : {};
     
     // Load the CVRB immediately
     this.loadWorldSync();
@@ -155,16 +213,29 @@ export class Solver {
    * @param {string} questionId - ID of the question that failed
    * @param {string} errorMessage - The error message from the failure
    * @param {number} solutionTimeSeconds - Time spent on the failed attempt
+   * @param {Object} [errorInfo] - Classification of the failure
+   * @param {string} [errorInfo.errorKind='model'] - LLMErrorKinds value, or 'model' for non-request failures
+   * @param {boolean} [errorInfo.infrastructure=false] - True when the failure is not the model's fault
+   * @param {Object} [errorInfo.budget] - For 'budget_exceeded': { limit, maxTokens, maxTimeMs, tokens, elapsedMs }
+   * @param {string} [errorInfo.reasoning] - Reasoning trace produced before the failure
    * @returns {Promise<void>}
    */
-  async recordFailedSolution(questionId, errorMessage, solutionTimeSeconds) {
+  async recordFailedSolution(questionId, errorMessage, solutionTimeSeconds, { errorKind = 'model', infrastructure = false, budget = null, reasoning = null } = {}) {
     const failedSolution = {
       id: questionId,
       status: 'failed',
       error: errorMessage,
+      error_kind: errorKind,
+      infrastructure,
       solutionTimeSeconds,
       failed: true
     };
+    if (budget) {
+      failedSolution.budget = budget;
+    }
+    if (reasoning) {
+      failedSolution.reasoning = reasoning;
+    }
     
     // Add to solutions collection (in-memory)
     this.solutions[questionId] = failedSolution;
@@ -227,12 +298,37 @@ export class Solver {
         question_id: question.id
       };
 
-      // Include world_code only if it exists and was intentionally provided
+      // Include world_code only if it exists and was intentionally provided –
+      // the solver prompts render their code section only when the variable is set
       if (worldCode) {
         promptVars.world_code = worldCode;
       }
+      if (this.mode === SolverModes.CODE) {
+        promptVars.time_limit_seconds = String(this.codeTimeoutMs / 1000);
+      }
 
-      const solverResponse = await callLLM('solver.txt', promptVars, solverModelApiName);
+      // Agent mode: a conversation with the run_js tool instead of a single call
+      if (this.mode === SolverModes.AGENT) {
+        const agentSolution = await runAgentLoop({
+          promptFile: SOLVER_PROMPTS[this.mode],
+          promptVars,
+          model: solverModelApiName,
+          settings: this.agentSettings,
+          params: this.callParams,
+          context: { role: 'solver', worldId: this.worldId, questionId: question.id }
+        });
+        agentSolution.solutionTimeSeconds = ((Date.now() - startTime) / 1000).toFixed(2);
+
+        this.solutions[questionId] = agentSolution;
+        await this.saveSolution(agentSolution);
+        return agentSolution;
+      }
+
+      const solverResponse = await callLLM(SOLVER_PROMPTS[this.mode], promptVars, solverModelApiName, this.callParams, {
+        role: 'solver',
+        worldId: this.worldId,
+        questionId: question.id
+      });
       
       // Calculate solution time
       const solutionTimeMs = Date.now() - startTime;
@@ -240,15 +336,47 @@ export class Solver {
       
       console.log(`Solution received in ${solutionTimeSeconds} seconds, parsing...`);
       
-      // Parse the response
-      const parsedSolution = JSONUtils.tryParseJson(solverResponse);
-      
-      if (!parsedSolution) {
-        throw new Error(`Failed to parse solution response for question ${questionId} into valid JSON`);
+      // Parse the response, falling back to the extraction steps of answer_extractor.js
+      let parsedSolution;
+      try {
+        const extracted = await extractSolution(solverResponse.content, {
+          field: this.mode === SolverModes.CODE ? 'code' : 'answer',
+          question: formattedQuestion,
+          context: { worldId: this.worldId, questionId: question.id }
+        });
+        parsedSolution = extracted.solution;
+        parsedSolution.extraction = extracted.method;
+      } catch (extractionError) {
+        if (extractionError instanceof AnswerExtractionError) {
+          extractionError.message = `Failed to extract a solution for question ${questionId}: ${extractionError.message}`;
+          // Keep the trace of unparsable answers – they are the interesting failures
+          extractionError.reasoning = solverResponse.reasoning;
+        }
+        throw extractionError;
+      }
+      if (parsedSolution.extraction !== ExtractionMethods.JSON) {
+        console.log(`Solution for question ${questionId} recovered from a malformed response (${parsedSolution.extraction})`);
       }
       
+      // Code mode: the answer is whatever the model's program computes
+      if (this.mode === SolverModes.CODE) {
+        if (typeof parsedSolution.code !== 'string' || parsedSolution.code.trim() === '') {
+          const codeError = new AnswerExtractionError(`Solution response for question ${questionId} contains no program`, [parsedSolution.extraction]);
+          codeError.reasoning = solverResponse.reasoning;
+          throw codeError;
+        }
+        parsedSolution.code = JSONUtils.cleanJavaScriptCode(parsedSolution.code);
+        Object.assign(parsedSolution, await this.runSolverProgram(parsedSolution.code, question));
+      }
+
       // Add solution time to the solution data
       parsedSolution.solutionTimeSeconds = solutionTimeSeconds;
+
+      // Keep the model's reasoning trace next to its answer
+      if (solverResponse.reasoning) {
+        parsedSolution.reasoning = solverResponse.reasoning;
+      }
+      parsedSolution.finish_reason = solverResponse.finishReason;
       
       // Add to solutions collection (in-memory)
       this.solutions[questionId] = parsedSolution;
@@ -263,6 +391,42 @@ export class Solver {
     }
   }
 
+  /**
+   * Execute a solver program for a question in the sandbox. The answer is the value
+   * solve(parameters) returns, or else the last line it printed.
+   *
+   * @param {string} code - Program declaring solve(parameters)
+   * @param {Object} question - Question object ({ id, text, parameters })
+   * @returns {Promise<{answer: *, stdout: string[], execution: Object}>} - execution holds the
+   *          sandbox metrics, or the error when the program failed to load, threw or overran its budget
+   */
+  async runSolverProgram(code, question) {
+    console.log(`Running solver program for question ${question.id} (budget ${this.codeTimeoutMs}ms)`);
+
+    try {
+      const { results, logs } = await runInSandbox({
+        code,
+        kind: 'program',
+        questions: [{ id: question.id, text: question.text, parameters: question.parameters, validator_fn: PROGRAM_ENTRY }],
+        limits: { timeoutMs: this.codeTimeoutMs }
+      });
+
+      const run = results[question.id] || { error: 'Program did not run' };
+      if (run.error !== undefined) {
+        return { answer: null, stdout: logs, execution: { error: run.error, metrics: run.metrics } };
+      }
+      return {
+        answer: run.result !== null ? run.result : lastPrintedValue(logs),
+        stdout: logs,
+        execution: { metrics: run.metrics }
+      };
+    } catch (error) {
+      if (!(error instanceof SandboxError)) throw error;
+      // Programs that do not load, overrun or run out of memory answer nothing – a wrong answer, not a failure
+      return { answer: null, stdout: error.logs || [], execution: { error: error.message, kind: error.kind } };
+    }
+  }
+
   /**
    * Solve specific questions or all questions in the CVRB
    * 
@@ -310,10 +474,21 @@ export class Solver {
           console.error(`Error solving question ${question.id}, continuing:`, error);
           const solutionTimeMs = Date.now() - startTime;
           const solutionTimeSeconds = (solutionTimeMs / 1000).toFixed(2);
+          // Provider failures (rate limits, 5xx, network) are kept apart from model failures
+          // Responses no answer could be read from are format failures, not wrong answers
+          const errorInfo = error instanceof LLMError
+            ? { errorKind: error.kind, infrastructure: error.isInfrastructure }
+            : { errorKind: error instanceof AnswerExtractionError ? error.kind : 'model', infrastructure: false };
+          // A streamed answer cut off at its budget counts against the model, with the limit it hit
+          if (error instanceof BudgetExceededError) {
+            errorInfo.budget = { limit: error.limit, ...error.budget, tokens: error.tokens, elapsedMs: error.elapsedMs };
+          }
+          errorInfo.reasoning = error.reasoning || error.partialReasoning || null;
           await this.recordFailedSolution(
             question.id,
             error.message || 'Unknown error occurred',
-            solutionTimeSeconds
+            solutionTimeSeconds,
+            errorInfo
           );
         }
       };
@@ -387,6 +562,7 @@ export class Solver {
       total: solutions.length,
       details: []
     };
+    const answersMatch = createAnswerComparator(this.world.returnSchema);
     
     solutions.forEach(solution => {
       // Handle failed solutions differently
@@ -397,6 +573,8 @@ export class Solver {
           id: solution.id,
           status: 'failed',
           error: solution.error,
+          errorKind: solution.error_kind,
+          budget: solution.budget,
           expectedAnswer: expectedAnswers[solution.id],
           correct: false,
           solutionTimeSeconds: solution.solutionTimeSeconds
@@ -407,16 +585,8 @@ export class Solver {
       
       const expected = expectedAnswers[solution.id];
       
-      // Handle different expected answer formats
-      let expectedValue = expected;
-      if (expected && typeof expected === 'object') {
-        if (expected.hasOwnProperty('expectedResult')) {
-          expectedValue = expected.expectedResult;
-        }
-      }
-      
-      const isCorrect = expectedValue !== undefined && 
-                      String(solution.answer).trim() === String(expectedValue).trim();
+      // Expected answers may be wrapped as { expectedResult }
+      const isCorrect = answersMatch(answerValue(expected), answerValue(solution.answer));
       
       comparison.details.push({
         id: solution.id,
@@ -1,8 +1,47 @@
-import { Solver } from './solver.js';
+import { Solver, SolverModes, SOLVER_PROMPTS } from './solver.js';
 import { SolutionHelpers } from '../../models/Solution.js';
+import { SolutionRunHelpers } from '../../models/SolutionRun.js';
 import { WorldHelpers } from '../../models/World.js';
 import { quality } from '../helpers/quality.js';
-import { ModelsConfig } from '../../openrouter/models.js';
+import { DefaultLists, modelRegistry } from '../../openrouter/models.js';
+import { getPromptVersion } from '../../openrouter/prompt_template.js';
+import { LLMErrorKinds } from '../../openrouter/llm_errors.js';
+import { answerValue, createAnswerComparator } from '../helpers/answer_comparison.js';
+import { aggregateSampleMetrics, questionSampleMetrics } from '../helpers/sampling_metrics.js';
+import { FORMAT_ERROR_KIND } from './answer_extractor.js';
+
+/**
+ * raw_responses entry of one attempt
+ *
+ * @param {Object} data - Solver output for a question
+ * @returns {Object}
+ */
+function rawResponse(data) {
+  if (data.failed === true) {
+    return {
+      answer: null,
+      failed: true,
+      error: data.error,
+      error_kind: data.error_kind,
+      infrastructure: data.infrastructure === true,
+      ...(data.budget ? { budget: data.budget } : {}),
+      ...(data.reasoning ? { reasoning: data.reasoning } : {})
+    };
+  }
+
+  return {
+    answer: data.answer ?? data,
+    explanation: data.explanation || 'No explanation provided',
+    ...(data.reasoning ? { reasoning: data.reasoning } : {}),
+    ...(data.finish_reason ? { finish_reason: data.finish_reason } : {}),
+    // How the answer was read from the response (see answer_extractor.js)
+    ...(data.extraction ? { extraction: data.extraction } : {}),
+    // Code mode: the program, what it printed and how its run went
+    ...(data.code !== undefined ? { code: data.code, stdout: data.stdout, execution: data.execution } : {}),
+    // Agent mode: every model turn and tool execution, and how the session ended
+    ...(data.transcript ? { transcript: data.transcript, agent: data.agent } : {})
+  };
+}
 
 /**
  * SolverController – orchestrates solving a CVRB with one or more LLM models
@@ -16,16 +55,17 @@ import { ModelsConfig } from '../../openrouter/models.js';
  */
 export class SolverController {
   constructor () {
-    this.defaultSolverModels = [ModelsConfig.O3.apiName];
+    this.defaultSolverModels = modelRegistry.defaults(DefaultLists.SOLVER_CONTROLLER).map(model => model.apiName);
   }
 
   /**
    * Extract API name from model config object or return string as-is
-   * @param {string|Object} model - Model API name string or ModelsConfig object
+   * @param {string|Object} model - Model API name, registry key / alias, or registry entry
    * @returns {string} - API name
    */
   _extractApiName(model) {
-    return typeof model === 'string' ? model : model.apiName;
+    // Registry keys and aliases resolve to the apiName stored in the database
+    return typeof model === 'string' ? (modelRegistry.get(model)?.apiName || model) : model.apiName;
   }
 
   /**
@@ -35,6 +75,15 @@ export class SolverController {
    * @param {Object} params
    * @param {Array} [params.solverModels] - Array of model API names or ModelsConfig objects to use.
    *                                        Defaults to `this.defaultSolverModels`.
+   * @param {string} [params.solverMode] - SolverModes value: 'reasoning' (JSON answer), 'code' (an executed
+   *                                       program) or 'agent' (multi-turn with the run_js tool), defaults to
+   *                                       SOLVER_MODE or 'reasoning'. Stored per solution.
+   * @param {number} [params.codeTimeoutMs] - Time budget of a solver program per question (code mode)
+   * @param {Object} [params.agent] - Agent mode limits { maxTurns, maxToolRuns, toolTimeMs }
+   * @param {number} [params.samples] - Attempts per question, defaults to SOLVER_SAMPLES or 1
+   * @param {number} [params.temperature] - Sampling temperature, defaults to SOLVER_TEMPERATURE
+   *                                        (a temperature fixed on the model entry takes precedence)
+   * @param {number} [params.passK] - k for pass@k, defaults to the number of samples
    * @returns {Promise<Object>} - Object keyed by model => solution DB record
    */
   async solveWorld (worldId, params = {}) {
@@ -44,6 +93,20 @@ export class SolverController {
 
     const runParallelQuestions = params.runParallel !== false; // default true
     const runParallelModels = params.parallelModels === true;  // default false
+    const solverMode = params.solverMode || process.env.SOLVER_MODE || SolverModes.REASONING;
+    if (!SOLVER_PROMPTS[solverMode]) {
+      throw new Error(`Unknown solver mode "${solverMode}" – expected one of ${Object.values(SolverModes).join(', ')}`);
+    }
+    const samples = parseInt(params.samples ?? process.env.SOLVER_SAMPLES ?? 1, 10);
+    if (!Number.isInteger(samples) || samples < 1) {
+      throw new Error(`Invalid number of samples "${params.samples ?? process.env.SOLVER_SAMPLES}" – expected an integer of at least 1`);
+    }
+    const temperatureSetting = params.temperature ?? process.env.SOLVER_TEMPERATURE;
+    const temperature = temperatureSetting !== undefined && temperatureSetting !== '' ? parseFloat(temperatureSetting) : undefined;
+    if (Number.isNaN(temperature)) {
+      throw new Error(`Invalid temperature "${temperatureSetting}" – expected a number`);
+    }
+    const passK = Math.min(parseInt(params.passK ?? samples, 10) || samples, samples);
 
     const solverApiNames = solverModels.map(m => this._extractApiName(m));
 
@@ -51,6 +114,8 @@ export class SolverController {
     console.log(`🌍 world_id: ${worldId}`);
     console.log(`🤖 solver models: ${solverApiNames.join(', ')}`);
     console.log(`🔀 parallel models: ${runParallelModels}`);
+    console.log(`🧠 solver mode: ${solverMode}`);
+    if (samples > 1) console.log(`🎲 samples per question: ${samples}${temperature !== undefined ? ` (temperature ${temperature})` : ''}`);
 
     const dbWorld = await WorldHelpers.getWorldById(worldId);
     if (!dbWorld) throw new Error(`World with id ${worldId} not found`);
@@ -59,74 +124,191 @@ export class SolverController {
       world_info: {
         description: worldDescription = '',
         spec: worldSpec = {},
-        questions: worldQuestions = []
+        questions: allQuestions = [],
+        return_schema: returnSchema = null
       } = {}
     } = dbWorld;
 
-    if (!worldQuestions.length) throw new Error('World has no questions – nothing to solve');
+    if (!allQuestions.length) throw new Error('World has no questions – nothing to solve');
+
+    // Questions dropped during validation (`accepted: false`) are neither solved nor scored
+    const worldQuestions = allQuestions.filter(q => q.accepted !== false);
+    const droppedQuestions = allQuestions.length - worldQuestions.length;
+    if (!worldQuestions.length) throw new Error('World has no accepted questions – nothing to solve');
+    if (droppedQuestions > 0) console.log(`✂️  skipping ${droppedQuestions} question(s) dropped during validation`);
 
     const expectedAnswers = {};
     for (const q of worldQuestions) {
       if (!q.id) continue;
       expectedAnswers[q.id] = q.expectedAnswer ?? q.expected_result ?? q.expected_answer ?? q.answer ?? q.expected ?? null;
     }
+    const answersMatch = createAnswerComparator(returnSchema);
 
     const solveWithModel = async (modelApiName) => {
       console.log(`\n🚀 Solving with model: ${modelApiName}`);
 
-      const solver = new Solver(dbWorld.world_name);
+      // A temperature fixed on the model entry is what the provider gets (see callLLM)
+      const registryTemperature = modelRegistry.get(modelApiName)?.temperature;
+      const effectiveTemperature = registryTemperature ?? temperature ?? null;
+      const temperatureOverridden = registryTemperature !== undefined && temperature !== undefined && registryTemperature !== temperature;
+      if (temperatureOverridden) {
+        console.warn(`⚠️  ${modelApiName}: the model entry's temperature ${registryTemperature} overrides the requested ${temperature}`);
+      }
+      const temperatureRecord = {
+        temperature: effectiveTemperature,
+        ...(temperatureOverridden ? { requested_temperature: temperature } : {})
+      };
 
-      // inject CVRB data – keep memory-only
-      solver.world.worldName = dbWorld.world_name;
-      solver.world.modelName = dbWorld.world_name;
-      solver.world.description = worldDescription;
-      solver.world.spec = worldSpec;
-      solver.world.code = undefined; // do not expose code
-      solver.world.questions = worldQuestions.map(q => ({ id: q.id, text: q.text, parameters: q.parameters }));
-      solver.world.answers = expectedAnswers;
-      solver.world.data = { injected: true };
+      // Every sample is a full pass over the questions with a fresh solver
+      const sampleOutputs = [];
+      let runConfig = null;
+      for (let sample = 1; sample <= samples; sample++) {
+        if (samples > 1) console.log(`🎲 ${modelApiName}: sample ${sample}/${samples}`);
 
-      solver.initSolutionDir = async () => { solver.solutionDir = null; };
-      solver.saveSolution = async () => {};
-      solver.generateComparisonReport = async () => {};
+        const solver = new Solver(dbWorld.world_name, { mode: solverMode, codeTimeoutMs: params.codeTimeoutMs, agent: params.agent, temperature });
 
-      const solverOutput = await solver.solveQuestions(null, modelApiName, runParallelQuestions);
+        // inject CVRB data – keep memory-only
+        solver.worldId = worldId;
+        solver.world.worldName = dbWorld.world_name;
+        solver.world.modelName = dbWorld.world_name;
+        solver.world.description = worldDescription;
+        solver.world.spec = worldSpec;
+        solver.world.code = undefined; // do not expose code
+        solver.world.questions = worldQuestions.map(q => ({ id: q.id, text: q.text, parameters: q.parameters }));
+        solver.world.answers = expectedAnswers;
+        solver.world.returnSchema = returnSchema;
+        solver.world.data = { injected: true };
 
+        solver.initSolutionDir = async () => { solver.solutionDir = null; };
+        solver.saveSolution = async () => {};
+        solver.generateComparisonReport = async () => {};
+
+        // Settings as the solver resolved them, stored with the run
+        runConfig ??= {
+          solver_mode: solverMode,
+          samples,
+          pass_k: passK,
+          ...temperatureRecord,
+          ...(solverMode === SolverModes.CODE ? { code_timeout_ms: solver.codeTimeoutMs } : {}),
+          ...(solver.agentSettings ? { agent: solver.agentSettings } : {})
+        };
+
+        sampleOutputs.push(await solver.solveQuestions(null, modelApiName, runParallelQuestions));
+      }
+      const solverOutput = sampleOutputs[0];
+
+      // The first sample is the canonical attempt – it fills the top level of each response
+      // and the counts below; every sample is kept under `samples`
       const rawResponses = {};
       const cleanedBreakdown = {};
       let correct = 0;
+      let infrastructureErrors = 0;
+      let budgetExceeded = 0;
+      let formatFailures = 0;
 
       for (const [qId, data] of Object.entries(solverOutput)) {
-        rawResponses[qId] = { answer: data.answer ?? data, explanation: data.explanation || 'No explanation provided' };
+        rawResponses[qId] = rawResponse(data);
+        if (samples > 1) {
+          rawResponses[qId].samples = sampleOutputs.map(output => (output[qId] ? rawResponse(output[qId]) : null)).filter(Boolean);
+        }
 
-        const expected = expectedAnswers[qId];
-        let provided = data.answer;
-        if (provided && typeof provided === 'object' && 'value' in provided) provided = provided.value;
+        if (data.failed === true) {
+          cleanedBreakdown[qId] = false;
 
-        const isCorrect = expected !== undefined && provided !== undefined && String(provided).trim().toLowerCase() === String(expected).trim().toLowerCase();
+          if (data.error_kind === LLMErrorKinds.BUDGET) budgetExceeded++;
+          if (data.error_kind === FORMAT_ERROR_KIND) formatFailures++;
+
+          // Provider outages are not the model's fault – leave them out of the score
+          if (data.infrastructure === true) infrastructureErrors++;
+          continue;
+        }
+
+        const isCorrect = answersMatch(expectedAnswers[qId], answerValue(data.answer));
         cleanedBreakdown[qId] = isCorrect;
         if (isCorrect) correct++;
       }
 
       const totalQuestions = worldQuestions.length;
-      const scorePercentage = !totalQuestions ? 0 : Math.round((correct / totalQuestions) * 100);
+      const scoredQuestions = totalQuestions - infrastructureErrors;
+
+      // pass@1 over all samples – equal to the plain share of correct answers for a single sample
+      const questionMetrics = {};
+      for (const qId of Object.keys(solverOutput)) {
+        questionMetrics[qId] = questionSampleMetrics(
+          sampleOutputs.map(output => output[qId]).filter(Boolean).map(rawResponse),
+          expectedAnswers[qId],
+          answersMatch,
+          passK
+        );
+      }
+      const sampling = aggregateSampleMetrics(Object.values(questionMetrics));
+      const scorePercentage = !sampling.questions ? 0 : Math.round(sampling.passAt1 * 100);
+
+      if (infrastructureErrors > 0) {
+        console.warn(`⚠️  ${infrastructureErrors} question(s) for ${modelApiName} failed on infrastructure errors and were not scored`);
+      }
 
       const results = {
         total_questions: totalQuestions,
+        scored_questions: scoredQuestions,
         total_correct_answers: correct,
-        error_count: totalQuestions - correct,
+        error_count: scoredQuestions - correct,
+        infrastructure_error_count: infrastructureErrors,
+        budget_exceeded_count: budgetExceeded,
+        format_failure_count: formatFailures,
+        dropped_question_count: droppedQuestions,
         score_percentage: scorePercentage,
         breakdown: cleanedBreakdown
       };
+      if (samples > 1) {
+        results.sampling = {
+          samples,
+          k: passK,
+          ...temperatureRecord,
+          pass_at_1: sampling.passAt1,
+          pass_at_k: sampling.passAtK,
+          majority_vote_accuracy: sampling.majorityVote,
+          // Score of each sample on its own – their spread is the run-to-run variance
+          sample_scores: sampleOutputs.map(output => {
+            const counted = Object.entries(output).filter(([, data]) => data.infrastructure !== true);
+            const right = counted.filter(([qId, data]) => data.failed !== true && answersMatch(expectedAnswers[qId], answerValue(data.answer))).length;
+            return counted.length > 0 ? Math.round((right / counted.length) * 100) : 0;
+          }),
+          per_question: Object.fromEntries(Object.entries(questionMetrics).filter(([, m]) => m).map(([qId, m]) => [qId, {
+            samples: m.n,
+            correct: m.correct,
+            pass_at_k: m.passAtK,
+            majority_correct: m.majorityCorrect
+          }]))
+        };
+      }
+
+      // Tag the solution with the solver prompt revision that produced it
+      const promptVersion = await getPromptVersion(SOLVER_PROMPTS[solverMode]);
 
-      let solutionRecord = await SolutionHelpers.getSolutionByModelAndWorld(modelApiName, worldId);
+      // One solution per model and mode – code-solving and reasoning scores are kept apart.
+      // The row mirrors the latest run; every run is kept in solution_runs.
+      let solutionRecord = await SolutionHelpers.getSolutionByModelAndWorld(modelApiName, worldId, solverMode);
       if (!solutionRecord) {
-        solutionRecord = await SolutionHelpers.createSolution({ model: modelApiName, world_id: worldId, score: scorePercentage, raw_responses: rawResponses, results });
+        solutionRecord = await SolutionHelpers.createSolution({ model: modelApiName, world_id: worldId, solver_mode: solverMode, score: scorePercentage, raw_responses: rawResponses, results, prompt_version: promptVersion });
       } else {
-        solutionRecord = await SolutionHelpers.updateSolution(solutionRecord.id, { score: scorePercentage, raw_responses: rawResponses, results });
+        solutionRecord = await SolutionHelpers.updateSolution(solutionRecord.id, { score: scorePercentage, raw_responses: rawResponses, results, prompt_version: promptVersion });
       }
 
-      console.log(`✅ Saved solution for model ${modelApiName} with score ${scorePercentage}%`);
+      const run = await SolutionRunHelpers.createRun({
+        solution_id: solutionRecord.id,
+        model: modelApiName,
+        world_id: worldId,
+        solver_mode: solverMode,
+        score: scorePercentage,
+        raw_responses: rawResponses,
+        results,
+        prompt_version: promptVersion,
+        config: runConfig
+      });
+      solutionRecord = await SolutionHelpers.setLatestRun(solutionRecord.id, run.id);
+
+      console.log(`✅ Saved ${solverMode} solution for model ${modelApiName} with score ${scorePercentage}%`);
       return solutionRecord;
     };
 
@@ -146,8 +328,9 @@ export class SolverController {
     // Quality score computation & persistence
     // ---------------------------------------------------------------------
     // Use ALL existing solver scores for this world (including previous runs) –
-    // not just the models executed in the current call.
-    const solutionRecords = await SolutionHelpers.getSolutionsByWorldId(worldId);
+    // not just the models executed in the current call. The quality score measures
+    // pure reasoning, so code and agent solutions are left out.
+    const solutionRecords = await SolutionHelpers.getSolutionsByWorldId(worldId, { solverMode: SolverModes.REASONING });
     const scores = solutionRecords.map(sol => {
       let numeric = typeof sol.score === 'string' ? parseFloat(sol.score) : sol.score;
       if (!Number.isFinite(numeric)) numeric = 0;
@@ -0,0 +1,99 @@
+import db from '../../db.js';
+import { calculateSolverStats } from './solver_stats.js';
+
+/**
+ * Calculate LLM usage and cost aggregates from the llm_calls table, and combine the
+ * solver costs with calculateSolverStats into accuracy-per-dollar figures.
+ * Calls replayed from a cassette cost nothing and are left out.
+ *
+ * @param {Object} options
+ * @param {number|string} [options.set='all'] - set number to filter by or 'all' to include every set
+ * @returns {Promise<{byRole: Array, byModel: Array, solvers: Array}>}
+ */
+export async function calculateCostStats({ set = 'all' } = {}) {
+  const sequelize = db.getSequelize();
+
+  // Calls without a world (e.g. aborted creations) only count towards the unfiltered totals
+  let whereClause = 'c.replayed = false';
+  const replacements = {};
+
+  if (set !== undefined && set !== 'all') {
+    whereClause += ' AND w.set = :setFilter';
+    replacements.setFilter = parseInt(set, 10);
+  }
+
+  const rows = await sequelize.query(`
+    SELECT
+      c.role,
+      c.model,
+      COUNT(*) AS calls,
+      COUNT(*) FILTER (WHERE c.status = 'error') AS failed_calls,
+      COALESCE(SUM(c.prompt_tokens), 0) AS prompt_tokens,
+      COALESCE(SUM(c.completion_tokens), 0) AS completion_tokens,
+      COALESCE(SUM(c.reasoning_tokens), 0) AS reasoning_tokens,
+      COALESCE(SUM(c.cost), 0) AS cost,
+      COUNT(DISTINCT c.world_id) AS worlds
+    FROM llm_calls c
+    LEFT JOIN worlds w ON c.world_id = w.id
+    WHERE ${whereClause}
+    GROUP BY c.role, c.model
+    ORDER BY c.role, c.model
+  `, {
+    type: sequelize.QueryTypes.SELECT,
+    replacements
+  });
+
+  const byRole = {};
+  const byModel = [];
+
+  for (const row of rows) {
+    const entry = {
+      role: row.role || 'unknown',
+      model: row.model,
+      calls: parseInt(row.calls, 10),
+      failed_calls: parseInt(row.failed_calls, 10),
+      prompt_tokens: parseInt(row.prompt_tokens, 10),
+      completion_tokens: parseInt(row.completion_tokens, 10),
+      reasoning_tokens: parseInt(row.reasoning_tokens, 10),
+      cost: parseFloat(row.cost),
+      worlds: parseInt(row.worlds, 10)
+    };
+    byModel.push(entry);
+
+    if (!byRole[entry.role]) {
+      byRole[entry.role] = { role: entry.role, calls: 0, failed_calls: 0, prompt_tokens: 0, completion_tokens: 0, reasoning_tokens: 0, cost: 0 };
+    }
+    const roleTotals = byRole[entry.role];
+    roleTotals.calls += entry.calls;
+    roleTotals.failed_calls += entry.failed_calls;
+    roleTotals.prompt_tokens += entry.prompt_tokens;
+    roleTotals.completion_tokens += entry.completion_tokens;
+    roleTotals.reasoning_tokens += entry.reasoning_tokens;
+    roleTotals.cost += entry.cost;
+  }
+
+  // Accuracy per dollar for every solver model with solutions in the set – solver calls are
+  // not split by solver mode, so the answers of every mode are pooled to match
+  const { stats: solverStats } = await calculateSolverStats({ set, solverMode: 'all' });
+  const solverCosts = new Map(byModel.filter(entry => entry.role === 'solver').map(entry => [entry.model, entry]));
+
+  const solvers = solverStats.map(stat => {
+    const usage = solverCosts.get(stat.model);
+    const cost = usage ? usage.cost : 0;
+    const correct = parseInt(stat.correct_answers, 10);
+
+    return {
+      model: stat.model,
+      percent_correct: stat.percent_correct,
+      correct_answers: stat.correct_answers,
+      total_attempts: stat.total_attempts,
+      calls: usage ? usage.calls : 0,
+      total_tokens: usage ? usage.prompt_tokens + usage.completion_tokens : 0,
+      cost: cost.toFixed(4),
+      cost_per_correct: cost > 0 && correct > 0 ? (cost / correct).toFixed(4) : '-',
+      correct_per_dollar: cost > 0 ? (correct / cost).toFixed(2) : '-'
+    };
+  });
+
+  return { byRole: Object.values(byRole), byModel, solvers };
+}
@@ -0,0 +1,49 @@
+/**
+ * Score drift of repeated solver runs on one CVRB: the runs of each model and solver mode
+ * in order, with the change from the first to the latest run and the spread in between.
+ *
+ * @param {Array<Object>} runs - solution_runs rows, oldest first
+ * @returns {Array<Object>} - one entry per model and solver mode:
+ *          { model, solver_mode, runs, first_score, latest_score, change, min_score, max_score,
+ *            history: [{ run_id, score, change, prompt_version, config, createdAt }] }
+ */
+export function calculateScoreDrift(runs) {
+  const groups = new Map();
+
+  for (const run of runs) {
+    const key = `${run.model}\u0000${run.solver_mode}`;
+    if (!groups.has(key)) {
+      groups.set(key, { model: run.model, solver_mode: run.solver_mode, history: [] });
+    }
+
+    const { history } = groups.get(key);
+    const previous = history.length > 0 ? history[history.length - 1].score : null;
+    history.push({
+      run_id: run.id,
+      score: run.score,
+      // Change against the previous run – null for the first run or unscored runs
+      change: previous !== null && run.score !== null ? run.score - previous : null,
+      prompt_version: run.prompt_version?.version ?? run.prompt_version?.hash ?? null,
+      config: run.config || {},
+      createdAt: run.createdAt
+    });
+  }
+
+  return [...groups.values()].map(({ model, solver_mode, history }) => {
+    const scores = history.map(entry => entry.score).filter(score => score !== null);
+    const first = scores.length > 0 ? scores[0] : null;
+    const latest = scores.length > 0 ? scores[scores.length - 1] : null;
+
+    return {
+      model,
+      solver_mode,
+      runs: history.length,
+      first_score: first,
+      latest_score: latest,
+      change: first !== null ? latest - first : null,
+      min_score: scores.length > 0 ? Math.min(...scores) : null,
+      max_score: scores.length > 0 ? Math.max(...scores) : null,
+      history
+    };
+  });
+}
@@ -1,4 +1,7 @@
 import db from '../../db.js';
+import { answerValue, createAnswerComparator } from '../helpers/answer_comparison.js';
+import { aggregateSampleMetrics, questionSampleMetrics, responseSamples } from '../helpers/sampling_metrics.js';
+import { ExtractionMethods, FORMAT_ERROR_KIND } from '../solve/answer_extractor.js';
 
 /**
  * Calculate aggregated solver statistics across worlds.
@@ -7,9 +10,19 @@ import db from '../../db.js';
  *
  * @param {Object} options
  * @param {number|string} [options.set='all'] - set number to filter by or 'all' to include every set
+ * @param {string} [options.promptVersion] - only include solutions produced by this solver prompt
+ *                                           revision (matches the template `version` or content hash)
+ * @param {string} [options.solverMode='reasoning'] - solver mode to report ('reasoning', 'code' or 'agent'), or
+ *                                                    'all' to pool them – each mode is reported separately
+ * @param {number} [options.k] - k for pass@k, defaults to the number of samples of each question
  * @returns {Promise<{stats: Array, detailedStats: Object}>}
  */
-export async function calculateSolverStats({ set = 'all' } = {}) {
+export async function calculateSolverStats({ set = 'all', promptVersion = null, solverMode = 'reasoning', k = null } = {}) {
+  const passK = k !== null && k !== undefined && k !== '' ? parseInt(k, 10) : null;
+  if (passK !== null && (!Number.isInteger(passK) || passK < 1)) {
+    throw new Error(`Invalid k "${k}" – expected an integer of at least 1`);
+  }
+
   const sequelize = db.getSequelize();
 
   // Build the WHERE clause based on set filter
@@ -21,6 +34,16 @@ export async function calculateSolverStats({ set = 'all' } = {}) {
     replacements.setFilter = parseInt(set, 10);
   }
 
+  if (promptVersion) {
+    whereClause += " AND (s.prompt_version->>'version' = :promptVersion OR s.prompt_version->>'hash' = :promptVersion)";
+    replacements.promptVersion = String(promptVersion);
+  }
+
+  if (solverMode && solverMode !== 'all') {
+    whereClause += ' AND s.solver_mode = :solverMode';
+    replacements.solverMode = String(solverMode);
+  }
+
   // Fetch all solutions joined with their world metadata
   const solutions = await sequelize.query(`
     SELECT 
@@ -40,6 +63,8 @@ export async function calculateSolverStats({ set = 'all' } = {}) {
 
   const modelStats = {};
   const detailedStats = {};
+  // Per-question sampling metrics of each model (see sampling_metrics.js)
+  const sampleMetrics = {};
 
   for (const solution of solutions) {
     const model = solution.model;
@@ -49,24 +74,32 @@ export async function calculateSolverStats({ set = 'all' } = {}) {
     const worldInfo = solution.world_info || {};
     const questions = worldInfo.questions || [];
 
-    // Extract expected answers for this CVRB
+    // Extract expected answers for this CVRB; questions dropped during validation are not scored
     const expectedAnswers = {};
     for (const q of questions) {
-      if (!q.id) continue;
+      if (!q.id || q.accepted === false) continue;
       expectedAnswers[q.id] = q.expectedAnswer ?? q.expected_result ?? q.expected_answer ?? q.answer ?? q.expected ?? null;
     }
+    const answersMatch = createAnswerComparator(worldInfo.return_schema);
 
     // Initialize model stats if not exists
     if (!modelStats[model]) {
       modelStats[model] = {
         total_attempts: 0,
-        correct_answers: 0
+        correct_answers: 0,
+        infrastructure_failures: 0,
+        // Wrong attempts split into responses no answer could be read from and wrong answers
+        format_failures: 0,
+        wrong_answers: 0,
+        // Answers read from malformed responses by a fallback extraction step
+        recovered_answers: 0
       };
     }
 
     // Initialize detailed stats structure
     if (!detailedStats[model]) {
       detailedStats[model] = {};
+      sampleMetrics[model] = [];
     }
 
     let worldCorrect = 0;
@@ -76,24 +109,31 @@ export async function calculateSolverStats({ set = 'all' } = {}) {
     for (const [qId, responseData] of Object.entries(rawResponses)) {
       if (!Object.prototype.hasOwnProperty.call(expectedAnswers, qId)) continue;
 
-      modelStats[model].total_attempts += 1;
-      worldTotal += 1;
-
-      const expected = expectedAnswers[qId];
-      let provided = responseData?.answer;
+      sampleMetrics[model].push(questionSampleMetrics(responseSamples(responseData), expectedAnswers[qId], answersMatch, passK));
 
-      // Handle object answers with value property
-      if (provided && typeof provided === 'object' && 'value' in provided) {
-        provided = provided.value;
+      // Provider outages are not attempts by the model
+      if (responseData?.infrastructure === true) {
+        modelStats[model].infrastructure_failures += 1;
+        continue;
       }
 
-      const isCorrect = expected !== undefined &&
-                        provided !== undefined &&
-                        String(provided).trim().toLowerCase() === String(expected).trim().toLowerCase();
+      modelStats[model].total_attempts += 1;
+      worldTotal += 1;
+
+      // Same comparison rules as SolverController (see answer_comparison.js)
+      const isCorrect = answersMatch(expectedAnswers[qId], answerValue(responseData?.answer));
 
       if (isCorrect) {
         modelStats[model].correct_answers += 1;
         worldCorrect += 1;
+      } else if (responseData?.error_kind === FORMAT_ERROR_KIND) {
+        modelStats[model].format_failures += 1;
+      } else {
+        modelStats[model].wrong_answers += 1;
+      }
+
+      if (responseData?.extraction && responseData.extraction !== ExtractionMethods.JSON) {
+        modelStats[model].recovered_answers += 1;
       }
     }
 
@@ -111,6 +151,20 @@ export async function calculateSolverStats({ set = 'all' } = {}) {
 
   // Convert to array format, calculate percentages and Wilson 95% confidence intervals
   const stats = Object.entries(modelStats).map(([model, data]) => {
+    // pass@1 equals percent_correct when every question was answered once
+    const sampling = aggregateSampleMetrics(sampleMetrics[model] || []);
+    const formatFields = {
+      format_failures: data.format_failures.toString(),
+      wrong_answers: data.wrong_answers.toString(),
+      recovered_answers: data.recovered_answers.toString()
+    };
+    const samplingFields = {
+      pass_at_1: (sampling.passAt1 * 100).toFixed(2),
+      pass_at_k: (sampling.passAtK * 100).toFixed(2),
+      majority_vote_accuracy: (sampling.majorityVote * 100).toFixed(2),
+      samples_per_question: sampling.questions > 0 ? (sampling.samples / sampling.questions).toFixed(2) : '0.00'
+    };
+
     // Early return when there are no attempts
     if (data.total_attempts === 0) {
       return {
@@ -120,7 +174,10 @@ export async function calculateSolverStats({ set = 'all' } = {}) {
         percent_correct: '0.00',
         ci_lower: '0.00',
         ci_upper: '0.00',
-        ci_margin: '0.00'
+        ci_margin: '0.00',
+        infrastructure_failures: data.infrastructure_failures.toString(),
+        ...formatFields,
+        ...samplingFields
       };
     }
 
@@ -142,7 +199,10 @@ export async function calculateSolverStats({ set = 'all' } = {}) {
       percent_correct: (p * 100).toFixed(2),
       ci_lower: (lower * 100).toFixed(2),
       ci_upper: (upper * 100).toFixed(2),
-      ci_margin: (margin * 100).toFixed(2)
+      ci_margin: (margin * 100).toFixed(2),
+      infrastructure_failures: data.infrastructure_failures.toString(),
+      ...formatFields,
+      ...samplingFields
     };
   });
 
@@ -0,0 +1,216 @@
+/**
+ * Seeded parameter fuzzing – extra parameter sets shaped like each authored question's
+ * parameters, so validation also compares implementations away from the five hand-picked inputs.
+ *
+ * Values keep their type and never grow beyond the authored ones (runtime stays within the
+ * sandbox limits):
+ *   integers  – 1..max(v, 3) for positive values, 0..3 for 0, v..-v for negatives
+ *   floats    – v scaled by 0.5..1.5
+ *   booleans  – random
+ *   strings   – sequences over a small alphabet ("1011", "LRRL", "..#.") get a new sequence of
+ *               at most the same length; other strings (names, enum values) are kept
+ *   arrays    – at most the authored length; rows of equal length keep a shared length
+ *   objects   – every value fuzzed, with sizes kept linked between siblings:
+ *               an integer equal to a sibling's length (n / cells, width / grid rows) is
+ *               resized with it, and a sequence with a smaller integer sibling (a possible
+ *               index into it, e.g. start) keeps its length
+ * Parameter generators ("() => ...") are kept as they are.
+ */
+
+/** Defaults, overridable with FUZZ_CASES / FUZZ_SEED / FUZZ_MAX_AMBIGUITY / FUZZ_MAX_CREATOR_ERRORS */
+export const DEFAULT_FUZZ_SETTINGS = {
+  cases: 3,             // fuzzed parameter sets per question, 0 disables fuzzing
+  seed: 1,
+  maxAmbiguity: 0.2,    // share of compared fuzzed inputs the implementations may diverge on
+  maxCreatorErrors: 0.5 // share of fuzzed inputs the creator code may throw on
+};
+
+/** Strings with at most this many distinct characters are treated as sequences */
+const SEQUENCE_ALPHABET = 4;
+
+/** Attempts to draw a parameter set that differs from the authored one */
+const MAX_DRAWS = 5;
+
+/**
+ * Resolve fuzz settings from defaults, env and per-call overrides
+ *
+ * @param {Object|boolean} [overrides] - { cases, seed, maxAmbiguity, maxCreatorErrors }, or false to disable
+ * @returns {{cases: number, seed: number, maxAmbiguity: number, maxCreatorErrors: number}}
+ * @throws {Error} - For invalid values
+ */
+export function resolveFuzzSettings(overrides = {}) {
+  const spec = overrides === false ? { cases: 0 } : (overrides || {});
+  const read = (key, envName, parse) => {
+    const raw = spec[key] ?? process.env[envName];
+    if (raw === undefined || raw === null || raw === '') return DEFAULT_FUZZ_SETTINGS[key];
+    const value = parse(raw);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid ${envName} "${raw}" – expected a non-negative number`);
+    }
+    return value;
+  };
+
+  return {
+    cases: read('cases', 'FUZZ_CASES', raw => parseInt(raw, 10)),
+    seed: read('seed', 'FUZZ_SEED', raw => parseInt(raw, 10)),
+    maxAmbiguity: read('maxAmbiguity', 'FUZZ_MAX_AMBIGUITY', raw => parseFloat(raw)),
+    maxCreatorErrors: read('maxCreatorErrors', 'FUZZ_MAX_CREATOR_ERRORS', raw => parseFloat(raw))
+  };
+}
+
+/**
+ * Seeded generator (mulberry32)
+ * @param {number} seed
+ * @returns {Function} - () => number in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const randomInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+/** Strings fuzzed as sequences */
+const isSequenceString = value => typeof value === 'string' && !value.includes('() =>') &&
+  value.length >= 2 && new Set(value).size <= SEQUENCE_ALPHABET;
+
+/** Shared length of an array's rows, null unless every row is a string / array of one non-zero length */
+function rowLengthOf(value) {
+  if (!Array.isArray(value) || value.length === 0) return null;
+  const rowLengths = new Set(value.map(item => (typeof item === 'string' || Array.isArray(item) ? item.length : -1)));
+  return rowLengths.size === 1 && !rowLengths.has(-1) && value[0].length > 0 ? value[0].length : null;
+}
+
+/**
+ * Fuzz an object's values with linked sizes (see the module comment)
+ *
+ * @param {Object} value - Authored object
+ * @param {Function} random - Seeded generator
+ * @returns {Object}
+ */
+function fuzzObject(value, random) {
+  const entries = Object.entries(value);
+  const integers = entries.filter(([, item]) => Number.isInteger(item) && item >= 0);
+  const fuzzed = {};
+  // Authored size -> fuzzed size, for the integers linked to a sequence
+  const resized = new Map();
+
+  for (const [key, item] of entries) {
+    const isSequence = (Array.isArray(item) && item.length > 0) || isSequenceString(item);
+    if (!isSequence) continue;
+
+    const linked = integers.some(([, n]) => n === item.length);
+    const indexed = integers.some(([, n]) => n < item.length && n !== item.length);
+    const length = indexed && !linked ? item.length : randomInt(random, 1, item.length);
+
+    const authoredRows = rowLengthOf(item);
+    let rowLength = null;
+    if (authoredRows !== null) {
+      // Square grids stay square, so a single size parameter still fits both sides
+      rowLength = authoredRows === item.length ? length : randomInt(random, 1, authoredRows);
+      if (!resized.has(authoredRows)) resized.set(authoredRows, rowLength);
+    }
+    if (!resized.has(item.length)) resized.set(item.length, length);
+
+    fuzzed[key] = fuzzValue(item, random, length, rowLength);
+  }
+
+  for (const [key, item] of entries) {
+    if (key in fuzzed) continue;
+    fuzzed[key] = Number.isInteger(item) && resized.has(item) ? resized.get(item) : fuzzValue(item, random);
+  }
+
+  // Keep the authored key order
+  return Object.fromEntries(entries.map(([key]) => [key, fuzzed[key]]));
+}
+
+/**
+ * Fuzz one value, keeping its shape
+ *
+ * @param {*} value - Authored value
+ * @param {Function} random - Seeded generator
+ * @param {number} [length] - Target length for strings / arrays (shared by sibling rows)
+ * @param {number} [rowLength] - Target row length for grids
+ * @returns {*}
+ */
+function fuzzValue(value, random, length = null, rowLength = null) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return value;
+    if (Number.isInteger(value)) {
+      if (value > 0) return randomInt(random, 1, Math.max(value, 3));
+      if (value === 0) return randomInt(random, 0, 3);
+      return randomInt(random, value, -value);
+    }
+    return Math.round(value * (0.5 + random()) * 1e6) / 1e6;
+  }
+
+  if (typeof value === 'boolean') return random() < 0.5;
+
+  if (typeof value === 'string') {
+    if (!isSequenceString(value)) return value;
+    const alphabet = [...new Set(value)];
+    const size = length ?? randomInt(random, 1, value.length);
+    return Array.from({ length: size }, () => alphabet[Math.floor(random() * alphabet.length)]).join('');
+  }
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return [];
+    const size = length ?? randomInt(random, 1, value.length);
+
+    // Grids: rows of one length stay rectangular
+    const authoredRows = rowLengthOf(value);
+    const rows = authoredRows === null ? null : (rowLength ?? randomInt(random, 1, authoredRows));
+
+    return Array.from({ length: size }, (_, index) => fuzzValue(value[index % value.length], random, rows));
+  }
+
+  if (value && typeof value === 'object') {
+    return fuzzObject(value, random);
+  }
+
+  return value;
+}
+
+/**
+ * Fuzzed copies of the questions, to be run like the authored ones
+ *
+ * @param {Array} questions - Question objects ({ id, text, parameters, validator_fn })
+ * @param {Object} settings - Resolved fuzz settings ({ cases, seed })
+ * @returns {Array} - Questions with ids like "q1~fuzz2" and `source` set to the authored question id
+ */
+export function createFuzzCases(questions, { cases, seed }) {
+  const random = seededRandom(seed);
+  const fuzzCases = [];
+
+  for (const question of questions) {
+    const authored = JSON.stringify(question.parameters || {});
+    const seen = new Set([authored]);
+
+    for (let n = 1; n <= cases; n++) {
+      let parameters = null;
+      for (let draw = 0; draw < MAX_DRAWS && !parameters; draw++) {
+        const candidate = fuzzValue(question.parameters || {}, random);
+        if (!seen.has(JSON.stringify(candidate))) parameters = candidate;
+      }
+      // Nothing to vary (e.g. only names and generators)
+      if (!parameters) break;
+
+      seen.add(JSON.stringify(parameters));
+      fuzzCases.push({
+        id: `${question.id}~fuzz${n}`,
+        source: question.id,
+        text: question.text,
+        parameters,
+        validator_fn: question.validator_fn
+      });
+    }
+  }
+
+  return fuzzCases;
+}
@@ -0,0 +1,86 @@
+import JSON5 from 'json5';
+import { normalizeDifficulty } from '../helpers/difficulty.js';
+
+/**
+ * Runtime budgets – the limits the creation prompt promises for answering a question by
+ * direct simulation (< 10 s on one CPU, 2 GB), checked against what the creator's reference
+ * code actually used per question (see the metrics recorded by sandbox_worker.js).
+ *
+ * Budgets can differ per question difficulty – the five levels of the creation prompt:
+ * 'very easy', 'easy', 'medium', 'hard' and 'very hard' (see helpers/difficulty.js; labels
+ * such as "Very_Easy" or "very-hard" are normalized). RUNTIME_BUDGETS (JSON5) overrides the
+ * defaults per level, e.g. `{ easy: { cpuMs: 2000 }, 'very hard': { cpuMs: 10000, memoryMb: 1024 } }`;
+ * `default` applies to levels that are not listed.
+ *
+ * The sandbox limits (SANDBOX_TIMEOUT_MS / SANDBOX_MEMORY_MB) stay hard caps on top of these.
+ */
+
+/** Metric names checked against a budget, as recorded per question */
+export const BUDGET_METRICS = ['cpuMs', 'wallMs', 'memoryMb'];
+
+export const DEFAULT_RUNTIME_BUDGETS = {
+  default: { cpuMs: 10000, wallMs: 10000, memoryMb: 2048 }
+};
+
+/**
+ * Resolve budgets from defaults, RUNTIME_BUDGETS and per-call overrides
+ *
+ * @param {Object} [overrides] - Budgets by difficulty ({ default, 'very easy', easy, medium, hard, 'very hard' })
+ * @returns {Object} - Budgets by difficulty, every level with all BUDGET_METRICS
+ * @throws {Error} - When RUNTIME_BUDGETS cannot be parsed or holds invalid limits
+ */
+export function resolveRuntimeBudgets(overrides = {}) {
+  let fromEnv = {};
+  if (process.env.RUNTIME_BUDGETS) {
+    try {
+      fromEnv = JSON5.parse(process.env.RUNTIME_BUDGETS);
+    } catch (error) {
+      throw new Error(`Invalid RUNTIME_BUDGETS: ${error.message}`);
+    }
+  }
+
+  const budgets = {};
+  for (const source of [DEFAULT_RUNTIME_BUDGETS, fromEnv, overrides]) {
+    for (const [label, limits] of Object.entries(source || {})) {
+      const level = label === 'default' ? label : normalizeDifficulty(label);
+      for (const [metric, value] of Object.entries(limits || {})) {
+        if (!BUDGET_METRICS.includes(metric) || typeof value !== 'number' || value <= 0) {
+          throw new Error(`Invalid runtime budget ${level}.${metric}: expected one of ${BUDGET_METRICS.join(', ')} with a positive number`);
+        }
+      }
+      budgets[level] = { ...budgets[level], ...limits };
+    }
+  }
+
+  // Levels inherit whatever they do not set from `default`
+  for (const level of Object.keys(budgets)) {
+    budgets[level] = { ...budgets.default, ...budgets[level] };
+  }
+  return budgets;
+}
+
+/**
+ * Budget for a question difficulty
+ *
+ * @param {Object} budgets - Resolved budgets
+ * @param {string} [difficulty] - Question difficulty (very easy / easy / medium / hard / very hard)
+ * @returns {Object} - { cpuMs, wallMs, memoryMb }
+ */
+export function budgetFor(budgets, difficulty) {
+  const level = normalizeDifficulty(difficulty);
+  return (level && budgets[level]) || budgets.default;
+}
+
+/**
+ * Metrics of a run that exceed the budget
+ *
+ * @param {Object} metrics - { cpuMs, wallMs, memoryMb } measured for one question
+ * @param {Object} budget - Budget from budgetFor
+ * @returns {Array<{metric: string, used: number, limit: number}>}
+ */
+export function exceededBudget(metrics, budget) {
+  if (!metrics) return [];
+  return BUDGET_METRICS
+    .filter(metric => typeof metrics[metric] === 'number' && metrics[metric] > budget[metric])
+    .map(metric => ({ metric, used: metrics[metric], limit: budget[metric] }));
+}
@@ -0,0 +1,123 @@
+import { Worker } from 'worker_threads';
+
+/**
+ * Sandbox for LLM-generated code (creator simulations, validator implementations,
+ * `validator_fn`, parameter generators and solver programs).
+ *
+ * Every run gets its own worker thread with a capped V8 heap and an empty environment;
+ * inside it the code runs in a vm context without host globals (see sandbox_worker.js).
+ * Each question runs under a CPU timeout that also covers promise chains, and the
+ * whole worker is terminated when it overruns its overall deadline, so a runaway world
+ * cannot hang or take down the benchmark host.
+ */
+
+/** Defaults, overridable with SANDBOX_TIMEOUT_MS / SANDBOX_MEMORY_MB */
+export const DEFAULT_SANDBOX_LIMITS = {
+  timeoutMs: 10000,   // per question (and for loading the code)
+  memoryMb: 256,      // old-generation heap of the worker
+  stackSizeMb: 4
+};
+
+/** Extra time the worker gets for start-up and messaging before it is terminated */
+const WORKER_GRACE_MS = 5000;
+
+export class SandboxError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {string} [details.kind='crash'] - 'timeout', 'memory', 'crash' or 'code'
+   * @param {string[]} [details.logs=[]] - Console output captured before the failure
+   * @param {string[]} [details.forbidden=[]] - Non-deterministic APIs touched (perturbed runs only)
+   */
+  constructor(message, { kind = 'crash', logs = [], forbidden = [] } = {}) {
+    super(message);
+    this.name = 'SandboxError';
+    this.kind = kind;
+    this.logs = logs;
+    this.forbidden = forbidden;
+  }
+}
+
+/**
+ * Resolve sandbox limits from defaults, env and per-call overrides
+ *
+ * @param {Object} [overrides] - { timeoutMs, memoryMb, stackSizeMb }
+ * @returns {Object}
+ */
+export function resolveSandboxLimits(overrides = {}) {
+  const fromEnv = {};
+  if (process.env.SANDBOX_TIMEOUT_MS) fromEnv.timeoutMs = parseInt(process.env.SANDBOX_TIMEOUT_MS, 10);
+  if (process.env.SANDBOX_MEMORY_MB) fromEnv.memoryMb = parseInt(process.env.SANDBOX_MEMORY_MB, 10);
+
+  const limits = { ...DEFAULT_SANDBOX_LIMITS, ...fromEnv };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) limits[key] = value;
+  }
+  return limits;
+}
+
+/**
+ * Load world or validator code in a sandbox and run every question against it
+ *
+ * @param {Object} job
+ * @param {string} job.code - World code, or a validator implementation
+ * @param {string} job.kind - 'world' (script declaring Simulation), 'validator' (function body) or
+ *                              'program' (solver script declaring solve(parameters)); 'script' only runs
+ *                              the code, for its console output
+ * @param {Array} job.questions - Question objects ({ id, text, parameters, validator_fn }), may be empty for scripts
+ * @param {boolean} [job.allowFallback=false] - Run `new Simulation().run(params)` when validator_fn yields nothing
+ * @param {Object} [job.limits] - Overrides for resolveSandboxLimits
+ * @param {Object} [job.perturb] - Determinism run: { seed, mode: 'strict' | 'vary' } (see sandbox_worker.js)
+ * @returns {Promise<{results: Object, logs: string[], forbidden: string[]}>} - Results keyed by question id,
+ *          captured console output and the non-deterministic APIs the code touched (perturbed runs only)
+ * @throws {SandboxError} - When the code cannot be loaded or the worker dies / overruns
+ */
+export function runInSandbox({ code, kind, questions, allowFallback = false, limits = {}, perturb = null }) {
+  const { timeoutMs, memoryMb, stackSizeMb } = resolveSandboxLimits(limits);
+  const deadlineMs = timeoutMs * (questions.length + 1) + WORKER_GRACE_MS;
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./sandbox_worker.js', import.meta.url), {
+      workerData: { code, kind, questions, timeoutMs, allowFallback, perturb },
+      env: {},
+      resourceLimits: {
+        maxOldGenerationSizeMb: memoryMb,
+        maxYoungGenerationSizeMb: Math.min(32, memoryMb),
+        stackSizeMb
+      }
+    });
+
+    let settled = false;
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(watchdog);
+      fn(value);
+    };
+
+    const watchdog = setTimeout(() => {
+      worker.terminate();
+      finish(reject, new SandboxError(`Sandbox exceeded its ${Math.round(deadlineMs / 1000)}s time limit`, { kind: 'timeout' }));
+    }, deadlineMs);
+
+    worker.on('message', (message) => {
+      if (message.fatal) {
+        finish(reject, new SandboxError(message.fatal, { kind: 'code', logs: message.logs, forbidden: message.forbidden }));
+      } else {
+        finish(resolve, { results: message.results, logs: message.logs, forbidden: message.forbidden });
+      }
+    });
+
+    worker.on('error', (error) => {
+      const outOfMemory = error.code === 'ERR_WORKER_OUT_OF_MEMORY';
+      finish(reject, new SandboxError(
+        outOfMemory ? `Sandbox exceeded its ${memoryMb}MB memory limit` : `Sandbox crashed: ${error.message}`,
+        { kind: outOfMemory ? 'memory' : 'crash' }
+      ));
+    });
+
+    worker.on('exit', (exitCode) => {
+      finish(reject, new SandboxError(`Sandbox exited (code ${exitCode}) without a result`));
+    });
+  });
+}
@@ -0,0 +1,422 @@
+import fs from 'fs';
+import v8 from 'v8';
+import vm from 'vm';
+import { parentPort, workerData } from 'worker_threads';
+
+/**
+ * Worker side of the code sandbox (see sandbox.js).
+ *
+ * Untrusted code runs in fresh vm contexts created inside this worker – one per question, so
+ * globals, static fields and caches of one question never leak into the next:
+ *  - the context holds nothing from the host – not even `console`, which is re-created
+ *    in the context and buffers its output. Values only cross the boundary as strings.
+ *  - string code generation (eval, new Function) is disabled inside the context.
+ *  - microtasks run as part of each evaluation, so promise chains count towards the
+ *    timeout; the context has no timers, so a promise still pending afterwards never settles.
+ *
+ * Determinism runs (`perturb: { seed, mode }`) additionally shuffle the key order of every
+ * parameter object and replace Math.random / Date: every access is recorded, and the stubs
+ * throw ('strict') or return values that vary with the seed ('vary').
+ *
+ * Every question is measured: wall time, CPU time of this thread and the growth of the
+ * worker's committed V8 heap from a freshly collected heap (`metrics`, see runtime_budget.js).
+ */
+
+const MAX_LOG_LINES = 500;
+
+/** Installed in every context: console capture and promise settling helpers */
+const PRELUDE = `
+(() => {
+  const logs = [];
+  const format = (args) => args.map((arg) => {
+    if (typeof arg === 'string') return arg;
+    try { return JSON.stringify(arg); } catch { return String(arg); }
+  }).join(' ');
+  const capture = (level) => (...args) => {
+    if (logs.length < ${MAX_LOG_LINES}) logs.push(level === 'log' ? format(args) : level + ': ' + format(args));
+  };
+  const hidden = (name, value) => Object.defineProperty(globalThis, name, { value, writable: false, enumerable: false });
+
+  globalThis.console = { log: capture('log'), info: capture('info'), debug: capture('debug'), warn: capture('warn'), error: capture('error') };
+  globalThis.global = globalThis;
+
+  hidden('__logs', () => JSON.stringify(logs));
+  hidden('__settle', (fn) => {
+    const out = { done: false };
+    let value;
+    try {
+      value = fn();
+    } catch (error) {
+      return Object.assign(out, { done: true, error });
+    }
+    if (value && typeof value.then === 'function') {
+      value.then((v) => Object.assign(out, { done: true, value: v }), (e) => Object.assign(out, { done: true, error: e }));
+      return out;
+    }
+    return Object.assign(out, { done: true, value });
+  });
+  hidden('__report', (out) => {
+    if (!out.done) return JSON.stringify({ pending: true });
+    if (out.error !== undefined) return JSON.stringify({ error: String((out.error && out.error.message) || out.error) });
+    if (out.value === undefined) return JSON.stringify({ undefined: true });
+    return JSON.stringify({ value: out.value });
+  });
+})();
+`;
+
+/** Installed after the prelude in determinism runs; reads __perturbSeed / __perturbMode */
+const PERTURB = `
+(() => {
+  const seed = Number(__perturbSeed);
+  const strict = __perturbMode === 'strict';
+  const touched = [];
+  let state = seed;
+  const next = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+  const touch = (name) => {
+    if (!touched.includes(name)) touched.push(name);
+    if (strict) throw new Error('Forbidden non-deterministic API: ' + name);
+  };
+  const fakeNow = () => 946684800000 + Math.floor(next() * 1e12);
+
+  const RealDate = Date;
+  function PerturbedDate(...args) {
+    if (!new.target) {
+      touch('Date()');
+      return new RealDate(fakeNow()).toString();
+    }
+    if (args.length === 0) {
+      touch('new Date()');
+      return new RealDate(fakeNow());
+    }
+    return new RealDate(...args);
+  }
+  PerturbedDate.prototype = RealDate.prototype;
+  PerturbedDate.UTC = RealDate.UTC;
+  PerturbedDate.parse = RealDate.parse;
+  PerturbedDate.now = () => {
+    touch('Date.now');
+    return fakeNow();
+  };
+
+  globalThis.Date = PerturbedDate;
+  Math.random = () => {
+    touch('Math.random');
+    return next();
+  };
+  Object.defineProperty(globalThis, '__touched', { value: () => JSON.stringify(touched), writable: false, enumerable: false });
+})();
+`;
+
+/**
+ * Copy a JSON value with the keys of every object inserted in a shuffled order
+ *
+ * @param {*} value
+ * @param {Function} random - () => number in [0, 1)
+ * @returns {*}
+ */
+function shuffleKeys(value, random) {
+  if (Array.isArray(value)) return value.map(item => shuffleKeys(item, random));
+  if (!value || typeof value !== 'object') return value;
+
+  const keys = Object.keys(value);
+  for (let i = keys.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [keys[i], keys[j]] = [keys[j], keys[i]];
+  }
+  const shuffled = {};
+  for (const key of keys) shuffled[key] = shuffleKeys(value[key], random);
+  return shuffled;
+}
+
+/**
+ * Seeded generator for the worker side (key shuffling)
+ * @param {number} seed
+ * @returns {Function}
+ */
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+// Grab V8's gc() without leaving --expose-gc on for contexts created later in the process
+v8.setFlagsFromString('--expose-gc');
+const collectGarbage = vm.runInNewContext('gc');
+v8.setFlagsFromString('--no-expose-gc');
+
+const MB = 1024 * 1024;
+
+/**
+ * CPU time used by this thread so far, in ms. Linux reports it in clock ticks (10 ms);
+ * elsewhere the whole process is measured, which is close while the host waits on the worker.
+ * @returns {number}
+ */
+function threadCpuMs() {
+  if (typeof process.threadCpuUsage === 'function') {
+    const { user, system } = process.threadCpuUsage();
+    return (user + system) / 1000;
+  }
+  try {
+    const stat = fs.readFileSync('/proc/thread-self/stat', 'utf8');
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    return (Number(fields[11]) + Number(fields[12])) * 10; // utime + stime
+  } catch {
+    const { user, system } = process.cpuUsage();
+    return (user + system) / 1000;
+  }
+}
+
+/** Committed heap plus off-heap buffers, in bytes */
+function heapBytes() {
+  const stats = v8.getHeapStatistics();
+  return stats.total_heap_size + (stats.external_memory || 0);
+}
+
+/**
+ * Start measuring a question
+ * @returns {Function} - Returns { wallMs, cpuMs, memoryMb } when called
+ */
+function startMetrics() {
+  collectGarbage();
+  const heap = heapBytes();
+  const cpu = threadCpuMs();
+  const start = performance.now();
+  return () => ({
+    wallMs: Math.round(performance.now() - start),
+    cpuMs: Math.round(threadCpuMs() - cpu),
+    memoryMb: Math.round(Math.max(0, heapBytes() - heap) / MB * 10) / 10
+  });
+}
+
+class TimeoutError extends Error {
+  constructor() {
+    super('Simulation timeout');
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Run a script in the context, normalizing Node's timeout error
+ *
+ * @param {vm.Context} context
+ * @param {string} source
+ * @param {number} timeoutMs
+ * @returns {*}
+ */
+function run(context, source, timeoutMs) {
+  if (timeoutMs <= 0) throw new TimeoutError();
+  try {
+    return vm.runInContext(source, context, { timeout: timeoutMs });
+  } catch (error) {
+    if (error && (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' || /Script execution timed out/.test(error.message))) {
+      throw new TimeoutError();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Call an expression through __settle and read back its outcome
+ * @returns {{pending?: boolean, error?: string, undefined?: boolean, value?: *}}
+ */
+function settle(context, expression, deadline) {
+  run(context, `globalThis.__out = __settle(() => (${expression}));`, deadline - Date.now());
+  const report = JSON.parse(run(context, '__report(__out)', deadline - Date.now()));
+  if (report.pending) {
+    throw new Error('Simulation returned a promise that never settled');
+  }
+  if (report.error !== undefined) {
+    throw new Error(report.error);
+  }
+  return report;
+}
+
+/**
+ * Load the world or validator code and resolve its Simulation class into `__Simulation`
+ */
+function loadSimulation(context, code, kind, timeoutMs) {
+  if (kind === 'world') {
+    run(context, code, timeoutMs);
+    const found = run(context, `
+      if (typeof Simulation !== 'undefined') {
+        globalThis.__Simulation = Simulation;
+        true;
+      } else {
+        false;
+      }
+    `, timeoutMs);
+    if (!found) {
+      const available = JSON.parse(run(context, 'JSON.stringify(Object.keys(globalThis))', timeoutMs));
+      throw new Error(`No Simulation class found in world code - available globals: ${JSON.stringify(available)}`);
+    }
+    return;
+  }
+
+  // Scratch scripts (the agentic solver's run_js tool) just run – their console output is the result
+  if (kind === 'script') {
+    run(context, code, timeoutMs);
+    return;
+  }
+
+  // Solver programs are scripts declaring solve(parameters); questions call it from validator_fn
+  if (kind === 'program') {
+    run(context, code, timeoutMs);
+    if (!run(context, `typeof solve === 'function'`, timeoutMs)) {
+      throw new Error('No solve(parameters) function found in solver program');
+    }
+    return;
+  }
+
+  // Validator implementations run as a function body and may expose a class or an instance
+  const found = run(context, `
+    globalThis.__exports = (function (global) {
+      ${code}
+      return {
+        Simulation: typeof Simulation !== 'undefined' ? Simulation : undefined,
+        simulation: typeof simulation !== 'undefined' ? simulation : undefined
+      };
+    })(globalThis);
+    globalThis.__Simulation = __exports.simulation ? __exports.simulation.constructor : __exports.Simulation;
+    if (typeof Simulation === 'undefined') globalThis.Simulation = __Simulation;
+    typeof __Simulation === 'function';
+  `, timeoutMs);
+  if (!found) {
+    throw new Error('No Simulation class or simulation instance found');
+  }
+}
+
+/**
+ * Run one question: evaluate generated parameters, then validator_fn or the Simulation fallback
+ */
+function runQuestion(context, question, { timeoutMs, allowFallback, random = null }) {
+  const deadline = Date.now() + timeoutMs;
+  const params = random ? shuffleKeys(question.parameters || {}, random) : { ...(question.parameters || {}) };
+
+  context.__paramsJson = JSON.stringify(params);
+  run(context, 'globalThis.__params = JSON.parse(__paramsJson);', deadline - Date.now());
+
+  // Parameter generators, e.g. "(() => Array.from({ length: 1e5 }, (_, i) => i))()"
+  for (const key of Object.keys(params)) {
+    if (typeof params[key] === 'string' && params[key].includes('() =>')) {
+      try {
+        run(context, `__params[${JSON.stringify(key)}] = (${params[key]});`, deadline - Date.now());
+      } catch (evalErr) {
+        console.error(`Error evaluating param ${key} for question ${question.id}:`, evalErr.message);
+        throw evalErr;
+      }
+    }
+  }
+
+  let result;
+  const fnCodeRaw = question.validator_fn;
+  if (typeof fnCodeRaw === 'string' && fnCodeRaw.trim().length > 0) {
+    // Strip markdown code fences
+    const fnCode = fnCodeRaw.replace(/```(javascript)?\n?/g, '').replace(/```/g, '');
+    const report = settle(context, `((parameters) => {\n${fnCode}\nreturn getAnswer(parameters);\n})(__params)`, deadline);
+    result = report.value;
+  }
+
+  if (result === undefined && allowFallback) {
+    result = settle(context, 'new __Simulation().run(__params)', deadline).value;
+  } else if (result === undefined) {
+    throw new Error('Validator_fn failed and fallback is disabled');
+  }
+
+  return {
+    parameters: JSON.parse(run(context, 'JSON.stringify(__params)', Math.max(deadline - Date.now(), 1000)) || '{}'),
+    result
+  };
+}
+
+/**
+ * Create a context with the prelude (and the perturbation stubs in determinism runs)
+ *
+ * @param {number} timeoutMs
+ * @param {Object|null} perturb - { seed, mode }
+ * @returns {vm.Context}
+ */
+function createSandboxContext(timeoutMs, perturb) {
+  // A null-prototype sandbox: property lookups on the context global must never reach
+  // this realm's Object.prototype (and through its constructor, Function and `process`)
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+  run(context, PRELUDE, timeoutMs);
+
+  if (perturb) {
+    context.__perturbSeed = String(perturb.seed);
+    context.__perturbMode = perturb.mode;
+    run(context, PERTURB, timeoutMs);
+  }
+  return context;
+}
+
+function main() {
+  const { code, kind, questions, timeoutMs, allowFallback, perturb = null } = workerData;
+  const random = perturb ? seededRandom(perturb.seed) : null;
+
+  // Console output and touched APIs of every context, collected before it is dropped
+  const logs = [];
+  const touched = new Set();
+  const drain = (context) => {
+    const lines = JSON.parse(vm.runInContext('__logs()', context, { timeout: 1000 }));
+    logs.push(...lines.slice(0, Math.max(0, MAX_LOG_LINES - logs.length)));
+    if (perturb) JSON.parse(vm.runInContext('__touched()', context, { timeout: 1000 })).forEach(api => touched.add(api));
+  };
+
+  // Code that does not load fails the whole run; the loaded context serves the first question
+  let loaded = createSandboxContext(timeoutMs, perturb);
+  try {
+    loadSimulation(loaded, code, kind, timeoutMs);
+  } catch (error) {
+    drain(loaded);
+    parentPort.postMessage({ fatal: error.message, logs, forbidden: [...touched] });
+    return;
+  }
+
+  const results = {};
+  for (const question of questions) {
+    let context = loaded;
+    loaded = null;
+    if (!context) {
+      context = createSandboxContext(timeoutMs, perturb);
+      try {
+        loadSimulation(context, code, kind, timeoutMs);
+      } catch (error) {
+        drain(context);
+        console.error(`Error loading code for question ${question.id}:`, error.message);
+        results[question.id] = { question: question.text, parameters: question.parameters || {}, error: error.message };
+        continue;
+      }
+    }
+
+    const stopMetrics = startMetrics();
+    try {
+      const { parameters, result } = runQuestion(context, question, { timeoutMs, allowFallback, random });
+      const metrics = stopMetrics();
+      results[question.id] = { question: question.text, parameters, result, metrics };
+      console.log(`Running question ${question.id} - ${metrics.wallMs}ms (cpu ${metrics.cpuMs}ms, heap +${metrics.memoryMb}MB)`);
+    } catch (error) {
+      const metrics = stopMetrics();
+      console.error(`Error running question ${question.id}:`, error.message);
+      results[question.id] = {
+        question: question.text,
+        parameters: question.parameters || {},
+        error: error.message,
+        metrics
+      };
+      console.log(`Running question ${question.id} - ${metrics.wallMs}ms (error)`);
+    }
+    drain(context);
+  }
+
+  parentPort.postMessage({ results, logs, forbidden: [...touched] });
+}
+
+main();
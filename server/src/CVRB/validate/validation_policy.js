@@ -0,0 +1,111 @@
+/**
+ * Validation policies – how many validators must reproduce the creator's answer
+ * for a question to be accepted.
+ *
+ *   unanimous        – every validator (the original behaviour, default)
+ *   quorum           – at least k of the n validators (k = VALIDATION_QUORUM, default a majority)
+ *   creator-plus-one – at least one validator
+ *
+ * Validators that crashed or skipped the question count as disagreeing.
+ */
+export const ValidationPolicies = {
+  UNANIMOUS: 'unanimous',
+  QUORUM: 'quorum',
+  CREATOR_PLUS_ONE: 'creator-plus-one'
+};
+
+/**
+ * Resolve a policy from an explicit setting or VALIDATION_POLICY / VALIDATION_QUORUM
+ *
+ * @param {string|Object} [policy] - Policy name, or { name, quorum }
+ * @returns {{name: string, quorum: number|null}}
+ * @throws {Error} - For unknown policy names or invalid quorums
+ */
+export function resolveValidationPolicy(policy = null) {
+  const spec = typeof policy === 'string' ? { name: policy } : (policy || {});
+  const name = spec.name || process.env.VALIDATION_POLICY || ValidationPolicies.UNANIMOUS;
+
+  if (!Object.values(ValidationPolicies).includes(name)) {
+    throw new Error(`Unknown validation policy "${name}". Expected one of: ${Object.values(ValidationPolicies).join(', ')}`);
+  }
+
+  let quorum = null;
+  if (name === ValidationPolicies.QUORUM) {
+    const raw = spec.quorum ?? process.env.VALIDATION_QUORUM;
+    if (raw !== undefined && raw !== null && raw !== '') {
+      quorum = parseInt(raw, 10);
+      if (!Number.isInteger(quorum) || quorum < 1) {
+        throw new Error(`Invalid validation quorum "${raw}" – expected a positive integer`);
+      }
+    }
+  }
+
+  return { name, quorum };
+}
+
+/**
+ * Number of matching validators a question needs under the policy
+ *
+ * @param {{name: string, quorum: number|null}} policy - Resolved policy
+ * @param {number} validatorCount - Validators that ran for the world
+ * @returns {number}
+ */
+export function requiredMatches(policy, validatorCount) {
+  switch (policy.name) {
+    case ValidationPolicies.CREATOR_PLUS_ONE:
+      return Math.min(1, validatorCount);
+    case ValidationPolicies.QUORUM:
+      // A quorum larger than the validator pool degrades to unanimity
+      return Math.min(policy.quorum ?? Math.floor(validatorCount / 2) + 1, validatorCount);
+    default:
+      return validatorCount;
+  }
+}
+
+/**
+ * Human-readable description, e.g. "quorum (2 of 3)"
+ *
+ * @param {{name: string, quorum: number|null}} policy - Resolved policy
+ * @param {number} validatorCount - Validators that ran for the world
+ * @returns {string}
+ */
+export function describePolicy(policy, validatorCount) {
+  return `${policy.name} (${requiredMatches(policy, validatorCount)} of ${validatorCount})`;
+}
+
+/**
+ * Resolve question pruning from an explicit setting or VALIDATION_PRUNE / VALIDATION_MIN_QUESTIONS.
+ * With pruning on, a world stays valid when at least `minQuestions` of its questions are
+ * accepted; the rejected ones are dropped instead of failing the whole world.
+ *
+ * @param {boolean|Object} [prune] - true / false, or { enabled, minQuestions }
+ * @returns {{enabled: boolean, minQuestions: number|null}} - minQuestions null means a majority of the questions
+ * @throws {Error} - For invalid minimums
+ */
+export function resolvePruning(prune = null) {
+  const spec = typeof prune === 'boolean' ? { enabled: prune } : (prune || {});
+  const enabled = spec.enabled ?? ['1', 'true', 'on'].includes(String(process.env.VALIDATION_PRUNE || '').toLowerCase());
+
+  let minQuestions = null;
+  const raw = spec.minQuestions ?? process.env.VALIDATION_MIN_QUESTIONS;
+  if (raw !== undefined && raw !== null && raw !== '') {
+    minQuestions = parseInt(raw, 10);
+    if (!Number.isInteger(minQuestions) || minQuestions < 1) {
+      throw new Error(`Invalid minimum question count "${raw}" – expected a positive integer`);
+    }
+  }
+
+  return { enabled: Boolean(enabled), minQuestions };
+}
+
+/**
+ * Accepted questions a pruned world must keep
+ *
+ * @param {{enabled: boolean, minQuestions: number|null}} pruning - Resolved pruning setting
+ * @param {number} questionCount - Questions the world was created with
+ * @returns {number}
+ */
+export function requiredQuestions(pruning, questionCount) {
+  if (!pruning.enabled) return questionCount;
+  return Math.min(pruning.minQuestions ?? Math.floor(questionCount / 2) + 1, questionCount);
+}
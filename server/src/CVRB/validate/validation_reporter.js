@@ -23,8 +23,15 @@ export class ValidationReporter {
           success: result.success,
           totalValidators: validatorDetails.validators.length,
           agreementPercentage: result.agreement ? result.agreement.percentage : 0,
-          agreementRatio: result.agreement ? `${result.agreement.agreed}/${result.agreement.total}` : '0/0'
+          agreementRatio: result.agreement ? `${result.agreement.agreed}/${result.agreement.total}` : '0/0',
+          deterministic: result.determinism ? result.determinism.deterministic : null,
+          ambiguityScore: result.fuzz ? result.fuzz.ambiguityScore : null,
+          withinRuntimeBudget: result.runtime ? result.runtime.withinBudget : null,
+          workedExampleConsistent: result.workedExample ? result.workedExample.consistent : null,
+          reason: result.reason || null
         },
+        policy: result.policy || null,
+        droppedQuestions: (result.droppedQuestions || []).map(q => q.id),
         validators: validatorDetails.validators,
         questionResults: validatorDetails.questionResults,
         rawResult: result
@@ -75,6 +82,9 @@ export class ValidationReporter {
           
           details.questionResults[questionId] = {
             agreed: questionData.agreement,
+            accepted: questionData.accepted ?? questionData.agreement,
+            matchCount: questionData.matchCount,
+            runtime: result.runtime?.questions?.[questionId] || null,
             expected: questionData.creatorResult,
             question: questionData.question,
             validators: []
@@ -114,7 +124,26 @@ export class ValidationReporter {
     
     // Add overall status
     summary += `Status: ${report.validTask ? '✅ VALID' : '❌ INVALID'}\n`;
-    summary += `Agreement: ${report.summary.agreementRatio} (${report.summary.agreementPercentage.toFixed(2)}%)\n\n`;
+    summary += `Agreement: ${report.summary.agreementRatio} (${report.summary.agreementPercentage.toFixed(2)}%)\n`;
+    if (report.policy) {
+      summary += `Policy: ${report.policy.description}\n`;
+    }
+    if (report.summary.ambiguityScore !== null && report.summary.ambiguityScore !== undefined) {
+      const fuzz = report.rawResult?.fuzz;
+      summary += `Fuzzing: ${fuzz ? `${fuzz.divergent}/${fuzz.compared} divergent, ${fuzz.skipped} rejected by the world code, ` : ''}spec ambiguity ${(report.summary.ambiguityScore * 100).toFixed(1)}%\n`;
+    } else if (report.rawResult?.fuzz?.passed === false) {
+      summary += `Fuzzing: failed – ${report.rawResult.fuzz.reason}\n`;
+    }
+    if (report.summary.withinRuntimeBudget === false) {
+      summary += `Runtime: over budget on ${report.rawResult.runtime.overBudget.map(q => q.id).join(', ')}\n`;
+    }
+    if (report.summary.workedExampleConsistent === false) {
+      summary += `Worked example: contradicts the world code at ${report.rawResult.workedExample.mismatches.map(m => m.id).join(', ')}\n`;
+    }
+    if (report.droppedQuestions?.length > 0) {
+      summary += `Dropped questions: ${report.droppedQuestions.join(', ')}\n`;
+    }
+    summary += '\n';
     
     // List validators
     summary += `Validators (${report.validators.length}):\n`;
@@ -127,7 +156,10 @@ export class ValidationReporter {
       summary += '\nQuestion Results:\n';
       Object.keys(report.questionResults).forEach(questionId => {
         const question = report.questionResults[questionId];
-        summary += `- ${questionId}: ${question.agreed ? '✅ Agreement' : '❌ Disagreement'} (Expected: ${question.expected})\n`;
+        let status = question.agreed ? '✅ Agreement' : (question.accepted ? '☑️ Accepted by policy' : '❌ Disagreement');
+        if (report.droppedQuestions?.includes(questionId)) status += ' – dropped';
+        const timing = question.runtime?.creator ? `, ${question.runtime.creator.cpuMs}ms cpu / ${question.runtime.creator.memoryMb}MB` : '';
+        summary += `- ${questionId}: ${status} (Expected: ${question.expected}${timing})\n`;
         
         // Per-validator results for this question
         question.validators.forEach(v => {
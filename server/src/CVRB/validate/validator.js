@@ -1,123 +1,132 @@
-import vm from 'vm';
+import { createAnswerComparator } from '../helpers/answer_comparison.js';
+import { createFuzzCases, resolveFuzzSettings } from './param_fuzzer.js';
+import { budgetFor, exceededBudget, resolveRuntimeBudgets } from './runtime_budget.js';
+import { runInSandbox, SandboxError } from './sandbox.js';
+import { workedExampleCases } from './worked_example.js';
+import {
+  describePolicy,
+  requiredMatches,
+  requiredQuestions,
+  resolvePruning,
+  resolveValidationPolicy
+} from './validation_policy.js';
+
+/** Perturbed re-runs of the world code in the determinism check (DETERMINISM_RUNS, 0 disables) */
+const DEFAULT_DETERMINISM_RUNS = 3;
+
+/** Divergent fuzzed inputs kept in the fuzz report (and sent to the repair loop) */
+const MAX_REPORTED_DIVERGENCES = 10;
+
+/**
+ * JSON with object keys sorted, so outputs that only differ in key order compare equal
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  return JSON.stringify(value, (key, val) => (
+    val && typeof val === 'object' && !Array.isArray(val)
+      ? Object.fromEntries(Object.keys(val).sort().map(k => [k, val[k]]))
+      : val
+  ));
+}
+
+/**
+ * Per-key differences between a creator result and a validator result
+ *
+ * @param {*} creatorResult
+ * @param {*} validatorResult
+ * @param {Function} answersMatch - Comparator from createAnswerComparator
+ * @returns {Array<{key: string, issue: string, creator?: *, validator?: *}>} - issue is 'missing', 'extra'
+ *          or 'different'; empty unless both results are objects
+ */
+export function diffResults(creatorResult, validatorResult, answersMatch) {
+  if (!creatorResult || !validatorResult || typeof creatorResult !== 'object' || typeof validatorResult !== 'object') {
+    return [];
+  }
+
+  const differences = [];
+  const allKeys = new Set([...Object.keys(creatorResult), ...Object.keys(validatorResult)]);
+  for (const key of allKeys) {
+    const creatorHas = Object.prototype.hasOwnProperty.call(creatorResult, key);
+    const validatorHas = Object.prototype.hasOwnProperty.call(validatorResult, key);
+
+    if (!creatorHas) {
+      differences.push({ key, issue: 'extra', validator: validatorResult[key] });
+    } else if (!validatorHas) {
+      differences.push({ key, issue: 'missing', creator: creatorResult[key] });
+    } else if (!answersMatch(creatorResult[key], validatorResult[key])) {
+      differences.push({ key, issue: 'different', creator: creatorResult[key], validator: validatorResult[key] });
+    }
+  }
+  return differences;
+}
 
 /**
  * Validator class for comparing results from creator and validators
  */
 export class Validator {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string|Object} [options.policy] - Validation policy (see validation_policy.js), defaults to VALIDATION_POLICY
+   * @param {boolean|Object} [options.prune] - Keep worlds valid with a reduced question set, defaults to VALIDATION_PRUNE
+   * @param {boolean|Object} [options.fuzz] - Parameter fuzzing settings (see param_fuzzer.js), false disables
+   * @param {boolean|Object} [options.budgets] - Runtime budgets by difficulty (see runtime_budget.js), false disables
+   */
+  constructor(options = {}) {
+    this.policy = resolveValidationPolicy(options.policy);
+    this.pruning = resolvePruning(options.prune);
+    this.fuzzSettings = resolveFuzzSettings(options.fuzz);
+    this.fuzz = null;
+    this.runtimeBudgets = options.budgets === false ? null : resolveRuntimeBudgets(options.budgets);
+    this.runtime = null;
+    this.workedExample = null;
     this.worldData = null;
     this.creatorResults = null;
     this.validatorResults = [];
+    this.determinism = null;
     this.success = false;
+    this.determinismRuns = process.env.DETERMINISM_RUNS !== undefined && process.env.DETERMINISM_RUNS !== ''
+      ? parseInt(process.env.DETERMINISM_RUNS, 10)
+      : DEFAULT_DETERMINISM_RUNS;
   }
 
   /**
- * Generic helper for running a Simulation class against a list of questions.
- * Returns the structured results so the caller can decide what to do with them.
- *
- * @param {Function} SimulationClass - The Simulation class constructor
- * @param {Array} questions - Array of question objects to run
- * @param {Object} [options] - Optional config (e.g., { timeoutMs: 5000, allowFallback: true })
- * @returns {Promise<Object>} - Results keyed by question id
- */
-  async _runSimulation(SimulationClass, questions, options = {}) {
-    const { timeoutMs = 10000, allowFallback = false } = options;  // Defaults: 10s timeout, no auto-fallback
-
-    if (!SimulationClass) {
-      throw new Error('SimulationClass is required');
-    }
+   * Run world or validator code against a list of questions in the sandbox
+   * (see sandbox.js) and echo the console output it captured.
+   *
+   * @param {string} code - World code or validator implementation
+   * @param {string} kind - 'world' or 'validator'
+   * @param {Array} questions - Array of question objects to run
+   * @param {string} label - Name used in log lines
+   * @param {Object} [options] - Optional config (e.g., { allowFallback: true, limits: { timeoutMs: 5000 } })
+   * @returns {Promise<Object>} - Results keyed by question id
+   */
+  async _runSandboxed(code, kind, questions, label, options = {}) {
+    const { allowFallback = false, limits = {} } = options;  // Default: no auto-fallback
 
     if (!questions || questions.length === 0) {
       throw new Error('No questions provided');
     }
 
-    const results = {};
-
-    for (const question of questions) {
-      const _startTime = Date.now();
-      const questionId = question.id;
-      try {
-        let params = { ... (question.parameters || {}) };  // Clone to avoid mutating original
-
-        // Preprocess params: Eval any string that looks like a function (e.g., for large arrays)
-        for (const key in params) {
-          if (typeof params[key] === 'string' && params[key].includes('() =>')) {
-            try {
-              const evalFn = new Function(`return ${params[key]};`);  // Sandboxed eval
-              params[key] = evalFn();
-            } catch (evalErr) {
-              console.error(`Error evaluating param ${key} for question ${questionId}:`, evalErr);
-              throw evalErr;  // Fail hard if param can't be processed
-            }
-          }
-        }
-
-        let result;
-        const fnCodeRaw = question.validator_fn;
-        const hasValidatorFn = typeof fnCodeRaw === 'string' && fnCodeRaw.trim().length > 0;
-
-        if (hasValidatorFn) {
-          // Strip markdown code fences
-          const fnCode = fnCodeRaw.replace(/```(javascript)?\n?/g, '').replace(/```/g, '');
-
-          /* Execute validator function inside VM with hard timeout */
-          try {
-            const sandboxAns = { console, Simulation: SimulationClass, parameters: params };
-            const contextAns = vm.createContext(sandboxAns);
-            const scriptAns = new vm.Script(`\n              ${fnCode}\n              getAnswer(parameters);\n            `);
-            result = scriptAns.runInContext(contextAns, { timeout: timeoutMs });
-          } catch (err) {
-            if (err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' || /Script execution timed out/.test(err.message)) {
-              throw new Error('Simulation timeout');
-            }
-            throw err;
-          }
-        }
-
-        if (result === undefined && allowFallback) {
-          /* Fallback using VM timeout to safely abort long-running synchronous code */
-          try {
-            const sandboxSim = { Simulation: SimulationClass, parameters: params };
-            const contextSim = vm.createContext(sandboxSim);
-            const scriptSim = new vm.Script(`
-              (() => {
-                const simulation = new Simulation();
-                return simulation.run(parameters);
-              })()
-            `);
-            result = scriptSim.runInContext(contextSim, { timeout: timeoutMs });
-          } catch (err) {
-            /* Normalize Node's timeout error */
-            if (err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' || /Script execution timed out/.test(err.message)) {
-              throw new Error('Simulation timeout');
-            }
-            throw err;
-          }
-        } else if (result === undefined) {
-          throw new Error('Validator_fn failed and fallback is disabled');
-        }
-
-        results[questionId] = {
-          question: question.text,
-          parameters: params,  // Return processed params
-          result
-        };
-
-        const _elapsed = Date.now() - _startTime;
-        console.log(`Running question ${questionId} - ${_elapsed}ms`);
-      } catch (error) {
-        console.error(`Error running question ${questionId}:`, error);
-        results[questionId] = {
-          question: question.text,
-          parameters: question.parameters || {},
-          error: error.message
-        };
-        const _elapsed = Date.now() - _startTime;
-        console.log(`Running question ${questionId} - ${_elapsed}ms (error)`);
-      }
+    try {
+      const { results, logs } = await runInSandbox({ code, kind, questions, allowFallback, limits });
+      this._echoSandboxLogs(label, logs);
+      return results;
+    } catch (error) {
+      if (error instanceof SandboxError) this._echoSandboxLogs(label, error.logs);
+      throw error;
     }
+  }
 
-    return results;
+  /**
+   * Print console output captured inside the sandbox
+   * @private
+   */
+  _echoSandboxLogs(label, logs = []) {
+    for (const line of logs) {
+      console.log(`   [${label}] ${line}`);
+    }
   }
 
   /**
@@ -183,51 +192,105 @@ export class Validator {
     console.log(`Running world code for ${worldName}`);
     console.log(`Processing ${questions.length} questions`);
 
-    // Create a sandbox to run the code
-    const sandbox = { console, global: {} };
-    const context = vm.createContext(sandbox);
+    // World code is untrusted – it runs in an isolated worker
+    const results = await this._runSandboxed(code, 'world', questions, worldName);
 
-    // Execute the simulation code directly
-    vm.runInContext(code, context);
+    // Preserve existing behaviour for external callers
+    this.creatorResults = results;
+    return results;
+  }
 
-    // Ensure Simulation is accessible
-    const exposeSimulationCode = `
-      if (typeof Simulation !== 'undefined') {
-        global.Simulation = Simulation;
-      }
-    `;
-    vm.runInContext(exposeSimulationCode, context);
+  /**
+   * Re-run the world code in fresh sandboxes with perturbed inputs and globals and
+   * compare every answer with the first run (runWorldCode).
+   *
+   * The first perturbed run is strict – Math.random, Date.now and `new Date()` throw –
+   * the others make them return values that vary per run. Every run also shuffles the
+   * key insertion order of the question parameters. A world is non-deterministic when
+   * it touches any of those APIs or any answer differs (key order aside).
+   *
+   * @param {number} [runs=this.determinismRuns] - Number of perturbed runs
+   * @returns {Promise<Object>} - { deterministic, runs, forbiddenApis, unstableQuestions, failedRuns, reason }
+   */
+  async checkDeterminism(runs = this.determinismRuns) {
+    if (!this.creatorResults) {
+      await this.runWorldCode();
+    }
 
-    // Resolve the Simulation class from the sandbox
-    let SimulationClass = sandbox.Simulation || (sandbox.global && sandbox.global.Simulation);
+    const { code, questions, worldName } = this.worldData;
+    const baseline = {};
+    for (const [questionId, data] of Object.entries(this.creatorResults)) {
+      baseline[questionId] = data.error !== undefined ? `error: ${data.error}` : canonicalJson(data.result);
+    }
 
-    if (!SimulationClass) {
-      const extractCode = `
-        if (typeof Simulation !== 'undefined') {
-          global._SimulationClass = Simulation;
-          true;
-        } else {
-          false;
+    const forbiddenApis = new Set();
+    const unstable = {};
+    const failedRuns = [];
+
+    for (let run = 1; run <= runs; run++) {
+      const perturb = { seed: run * 7919, mode: run === 1 ? 'strict' : 'vary' };
+      console.log(`Determinism run ${run}/${runs} for ${worldName} (${perturb.mode})`);
+
+      let outcome;
+      try {
+        outcome = await runInSandbox({ code, kind: 'world', questions, perturb });
+      } catch (error) {
+        if (error instanceof SandboxError) error.forbidden.forEach(api => forbiddenApis.add(api));
+        failedRuns.push({ run, mode: perturb.mode, error: error.message });
+        continue;
+      }
+
+      outcome.forbidden.forEach(api => forbiddenApis.add(api));
+      for (const [questionId, data] of Object.entries(outcome.results)) {
+        const value = data.error !== undefined ? `error: ${data.error}` : canonicalJson(data.result);
+        if (value !== baseline[questionId]) {
+          (unstable[questionId] = unstable[questionId] || []).push({ run, mode: perturb.mode, result: data.error !== undefined ? { error: data.error } : data.result });
         }
-      `;
-      const hasSimulation = vm.runInContext(extractCode, context);
-      if (hasSimulation && sandbox.global._SimulationClass) {
-        SimulationClass = sandbox.global._SimulationClass;
       }
     }
 
-    if (!SimulationClass) {
-      const availableKeys = JSON.stringify(Object.keys(sandbox));
-      const availableGlobal = JSON.stringify(Object.keys(sandbox.global));
-      throw new Error(`No Simulation class found in world code - available keys: ${availableKeys} global: ${availableGlobal}`);
+    const unstableQuestions = Object.entries(unstable).map(([id, differences]) => ({
+      id,
+      expected: this.creatorResults[id]?.result,
+      differences
+    }));
+
+    const reasons = [];
+    if (forbiddenApis.size > 0) reasons.push(`uses non-deterministic APIs: ${[...forbiddenApis].join(', ')}`);
+    if (unstableQuestions.length > 0) reasons.push(`answers differ between runs for: ${unstableQuestions.map(q => q.id).join(', ')}`);
+    if (failedRuns.length > 0) reasons.push(`perturbed run(s) failed: ${failedRuns.map(f => f.error).join('; ')}`);
+
+    this.determinism = {
+      deterministic: reasons.length === 0,
+      runs,
+      forbiddenApis: [...forbiddenApis],
+      unstableQuestions,
+      failedRuns,
+      reason: reasons.length > 0 ? `World is not deterministic – ${reasons.join('; ')}` : null
+    };
+
+    if (this.determinism.deterministic) {
+      console.log(`✅ ${worldName} is deterministic across ${runs} perturbed run(s)`);
+    } else {
+      console.log(`❌ ${this.determinism.reason}`);
     }
+    return this.determinism;
+  }
 
-    // Run the simulation for all questions using the shared helper.
-    const results = await this._runSimulation(SimulationClass, questions);
-
-    // Preserve existing behaviour for external callers
-    this.creatorResults = results;
-    return results;
+  /**
+   * Validator implementations with markdown code fences stripped
+   *
+   * @returns {Array<{validatorId: number, validatorModel: string, code: string}>}
+   */
+  _validatorSources() {
+    const { validators = [], validatorModels } = this.worldData;
+    return validators.map((validatorCode, i) => ({
+      validatorId: i + 1,
+      validatorModel: validatorModels && validatorModels[i] ? validatorModels[i] : `Validator ${i + 1}`,
+      code: validatorCode.includes('```')
+        ? validatorCode.replace(/```javascript\n?/g, '').replace(/```\n?/g, '')
+        : validatorCode
+    }));
   }
 
   /**
@@ -250,56 +313,22 @@ export class Validator {
 
     const validatorResults = [];
 
-    for (let i = 0; i < validators.length; i++) {
-      let validatorCode = validators[i];
-      const validatorModel = validatorModels && validatorModels[i] ? validatorModels[i] : `Validator ${i + 1}`;
-      console.log(`Processing validator #${i + 1} (${validatorModel})`);
+    for (const { validatorId, validatorModel, code } of this._validatorSources()) {
+      console.log(`Processing validator #${validatorId} (${validatorModel})`);
 
       try {
-        // Strip markdown code fences if present
-        if (validatorCode.includes('```')) {
-          validatorCode = validatorCode
-            .replace(/```javascript\n?/g, '')
-            .replace(/```\n?/g, '');
-        }
-
-        // Build a function wrapper around the validator code
-        const wrappedFn = new Function(
-          'console',
-          'global',
-          `${validatorCode}
-            return {
-              Simulation: typeof Simulation !== 'undefined' ? Simulation : undefined,
-              simulation: typeof simulation !== 'undefined' ? simulation : undefined
-            };`
-        );
-
-        const sandboxConsole = console;
-        const sandboxGlobal = {};
-        const executionResult = wrappedFn(sandboxConsole, sandboxGlobal);
-
-        // Determine the Simulation class
-        let SimulationClass;
-        if (executionResult.simulation) {
-          SimulationClass = executionResult.simulation.constructor;
-        } else if (executionResult.Simulation) {
-          SimulationClass = executionResult.Simulation;
-        } else {
-          throw new Error(`No Simulation class or simulation instance found in validator #${i + 1} (${validatorModel})`);
-        }
-
-        // Run the simulation for all questions using the shared helper.
-        const results = await this._runSimulation(SimulationClass, questions);
+        // Validator implementations run as a function body in an isolated worker
+        const results = await this._runSandboxed(code, 'validator', questions, validatorModel);
 
         validatorResults.push({ 
-          validatorId: i + 1, 
+          validatorId, 
           validatorModel: validatorModel,
           results 
         });
       } catch (error) {
-        console.error(`Error running validator #${i + 1} (${validatorModel}):`, error);
+        console.error(`Error running validator #${validatorId} (${validatorModel}):`, error);
         validatorResults.push({ 
-          validatorId: i + 1, 
+          validatorId, 
           validatorModel: validatorModel,
           error: error.message 
         });
@@ -310,6 +339,258 @@ export class Validator {
     return validatorResults;
   }
 
+  /**
+   * Check the measured runtime of each question against the budget for its difficulty.
+   * Every implementation's metrics are reported; only the creator's reference code – what
+   * "answerable by direct simulation" is measured against – can put the world over budget.
+   *
+   * @param {Array} [questions] - Questions to check, defaults to all of them
+   * @returns {Object} - { budgets, questions, overBudget, withinBudget, reason }
+   */
+  checkRuntimeBudgets(questions = this.worldData.questions) {
+    const perQuestion = {};
+    const overBudget = [];
+
+    for (const question of questions || []) {
+      const budget = budgetFor(this.runtimeBudgets, question.difficulty);
+      const creatorMetrics = this.creatorResults?.[question.id]?.metrics || null;
+      const exceeded = exceededBudget(creatorMetrics, budget);
+
+      perQuestion[question.id] = {
+        difficulty: question.difficulty || null,
+        budget,
+        creator: creatorMetrics,
+        validators: (this.validatorResults || [])
+          .filter(v => !v.error)
+          .map(v => ({ model: v.validatorModel, metrics: v.results[question.id]?.metrics || null })),
+        exceeded
+      };
+      if (exceeded.length > 0) overBudget.push({ id: question.id, exceeded });
+    }
+
+    const describe = ({ id, exceeded }) => `${id} (${exceeded.map(e => `${e.metric} ${e.used} > ${e.limit}`).join(', ')})`;
+    this.runtime = {
+      budgets: this.runtimeBudgets,
+      questions: perQuestion,
+      overBudget,
+      withinBudget: overBudget.length === 0,
+      reason: overBudget.length > 0 ? `Reference code exceeds its runtime budget on ${overBudget.map(describe).join('; ')}` : null
+    };
+
+    if (overBudget.length > 0) {
+      console.log(`❌ ${this.runtime.reason}`);
+    }
+    return this.runtime;
+  }
+
+  /**
+   * Run creator and validator code on seeded, fuzzed copies of the question parameters
+   * (see param_fuzzer.js) and measure how often the implementations diverge.
+   *
+   * Inputs the creator code rejects (throws on) are skipped; a fuzzed input counts as agreed
+   * when enough validators match under the validation policy. Validators that already failed
+   * on the authored questions are left out.
+   *
+   * The check fails closed: it does not pass when the creator code cannot be run, throws on
+   * more than maxCreatorErrors of the inputs, or no validator is left to compare against.
+   *
+   * @param {Array} [questions] - Questions whose parameters are fuzzed, defaults to all of them
+   * @param {Object} [settings] - Fuzz settings, defaults to the ones resolved in the constructor
+   * @returns {Promise<Object|null>} - { cases, compared, skipped, creatorErrorShare, divergent, ambiguityScore,
+   *          maxAmbiguity, maxCreatorErrors, ambiguous, passed, validators, divergences, reason },
+   *          null when there is nothing to fuzz
+   */
+  async checkFuzz(questions = this.worldData.questions, settings = this.fuzzSettings) {
+    const { code, worldName } = this.worldData;
+    const fuzzCases = createFuzzCases(questions || [], settings);
+    if (fuzzCases.length === 0) {
+      this.fuzz = null;
+      return null;
+    }
+
+    console.log(`Fuzzing ${worldName}: ${fuzzCases.length} parameter sets (seed ${settings.seed})`);
+
+    // Report of a check that could not compare anything
+    const failed = reason => {
+      this.fuzz = {
+        cases: fuzzCases.length,
+        seed: settings.seed,
+        compared: 0,
+        skipped: fuzzCases.length,
+        creatorErrorShare: 1,
+        divergent: 0,
+        ambiguityScore: null,
+        maxAmbiguity: settings.maxAmbiguity,
+        maxCreatorErrors: settings.maxCreatorErrors,
+        ambiguous: false,
+        passed: false,
+        validators: [],
+        divergences: [],
+        reason
+      };
+      console.log(`❌ ${reason}`);
+      return this.fuzz;
+    };
+
+    let creatorFuzz;
+    try {
+      creatorFuzz = await this._runSandboxed(code, 'world', fuzzCases, `${worldName} (fuzz)`);
+    } catch (error) {
+      console.error(`Error fuzzing world code for ${worldName}:`, error.message);
+      return failed(`Fuzzing could not run the world code: ${error.message}`);
+    }
+
+    const failedValidators = new Set((this.validatorResults || []).filter(v => v.error).map(v => v.validatorId));
+    const validatorFuzz = [];
+    for (const { validatorId, validatorModel, code: validatorCode } of this._validatorSources()) {
+      if (failedValidators.has(validatorId)) continue;
+      try {
+        const results = await this._runSandboxed(validatorCode, 'validator', fuzzCases, `${validatorModel} (fuzz)`);
+        validatorFuzz.push({ validatorModel, results });
+      } catch (error) {
+        validatorFuzz.push({ validatorModel, error: error.message });
+      }
+    }
+
+    if (validatorFuzz.length === 0 || validatorFuzz.every(v => v.error)) {
+      return failed('Fuzzing has no validator implementation to compare against');
+    }
+
+    const answersMatch = createAnswerComparator(this.worldData.worldInfo?.return_schema);
+    const required = requiredMatches(this.policy, validatorFuzz.length);
+    const perValidator = validatorFuzz.map(v => ({ model: v.validatorModel, divergent: 0 }));
+    const divergences = [];
+    let compared = 0;
+    let skipped = 0;
+
+    for (const fuzzCase of fuzzCases) {
+      const creator = creatorFuzz[fuzzCase.id];
+      if (!creator || creator.error !== undefined) {
+        skipped++;
+        continue;
+      }
+      compared++;
+
+      const outcomes = validatorFuzz.map((validator, index) => {
+        const result = validator.error ? { error: validator.error } : (validator.results[fuzzCase.id] || { error: 'Question not processed' });
+        const matches = result.error === undefined && answersMatch(creator.result, result.result);
+        if (!matches) perValidator[index].divergent++;
+        return { validator, result, matches };
+      });
+
+      if (outcomes.filter(o => o.matches).length >= required) continue;
+
+      divergences.push({
+        id: fuzzCase.id,
+        source: fuzzCase.source,
+        question: fuzzCase.text,
+        parameters: creator.parameters,
+        creatorResult: creator.result,
+        validators: outcomes.filter(o => !o.matches).map(({ validator, result }) => ({
+          model: validator.validatorModel,
+          ...(result.error !== undefined ? { error: result.error } : { result: result.result }),
+          differences: result.error !== undefined ? [] : diffResults(creator.result, result.result, answersMatch)
+        }))
+      });
+    }
+
+    if (compared === 0) {
+      return failed(`The world code throws on all ${fuzzCases.length} fuzzed inputs`);
+    }
+
+    const ambiguityScore = divergences.length / compared;
+    const ambiguous = ambiguityScore > settings.maxAmbiguity;
+    // Creator errors are kept apart from divergence – a world that rejects most fuzzed
+    // inputs was barely fuzzed at all
+    const creatorErrorShare = skipped / fuzzCases.length;
+    const tooManyCreatorErrors = creatorErrorShare > settings.maxCreatorErrors;
+    const reasons = [
+      ambiguous && `Implementations diverge on ${divergences.length}/${compared} fuzzed inputs (spec ambiguity ${(ambiguityScore * 100).toFixed(1)}%)`,
+      tooManyCreatorErrors && `The world code throws on ${skipped}/${fuzzCases.length} fuzzed inputs`
+    ].filter(Boolean);
+
+    this.fuzz = {
+      cases: fuzzCases.length,
+      seed: settings.seed,
+      compared,
+      skipped,
+      creatorErrorShare,
+      divergent: divergences.length,
+      ambiguityScore,
+      maxAmbiguity: settings.maxAmbiguity,
+      maxCreatorErrors: settings.maxCreatorErrors,
+      ambiguous,
+      passed: reasons.length === 0,
+      validators: perValidator.map(v => ({ ...v, compared })),
+      divergences: divergences.slice(0, MAX_REPORTED_DIVERGENCES),
+      reason: reasons.length > 0 ? reasons.join('; ') : null
+    };
+
+    if (!this.fuzz.passed) {
+      console.log(`❌ ${this.fuzz.reason}`);
+    } else {
+      console.log(`✅ Fuzzing ${worldName}: ${divergences.length}/${compared} divergent, ${skipped} skipped (ambiguity ${(ambiguityScore * 100).toFixed(1)}%)`);
+    }
+    return this.fuzz;
+  }
+
+  /**
+   * Run the spec's machine-readable worked example (and its checkpoints) through the
+   * creator's Simulation and compare with the states it publishes (see worked_example.js).
+   *
+   * @returns {Promise<Object|null>} - { checked, consistent, mismatches, reason }, null for prose-only examples
+   */
+  async checkWorkedExample() {
+    const { code, worldName, worldInfo } = this.worldData;
+    const cases = workedExampleCases(worldInfo?.spec?.worked_example);
+    if (cases.length === 0) {
+      this.workedExample = null;
+      return null;
+    }
+
+    console.log(`Checking worked example of ${worldName}: ${cases.length} state(s)`);
+
+    let results;
+    try {
+      results = await this._runSandboxed(code, 'world', cases, `${worldName} (worked example)`, { allowFallback: true });
+    } catch (error) {
+      results = Object.fromEntries(cases.map(exampleCase => [exampleCase.id, { error: error.message }]));
+    }
+
+    const answersMatch = createAnswerComparator(worldInfo?.return_schema);
+    const mismatches = [];
+    for (const exampleCase of cases) {
+      const actual = results[exampleCase.id] || { error: 'Example not processed' };
+      if (actual.error === undefined && answersMatch(exampleCase.expected, actual.result)) continue;
+
+      mismatches.push({
+        id: exampleCase.id,
+        question: exampleCase.text,
+        parameters: exampleCase.parameters,
+        expected: exampleCase.expected,
+        ...(actual.error !== undefined
+          ? { creatorError: actual.error }
+          : { creatorResult: actual.result, differences: diffResults(actual.result, exampleCase.expected, answersMatch) })
+      });
+    }
+
+    this.workedExample = {
+      checked: cases.length,
+      consistent: mismatches.length === 0,
+      mismatches,
+      reason: mismatches.length > 0
+        ? `Worked example contradicts the world code at: ${mismatches.map(m => m.id).join(', ')}`
+        : null
+    };
+
+    if (this.workedExample.consistent) {
+      console.log(`✅ Worked example of ${worldName} matches the world code (${cases.length} state(s))`);
+    } else {
+      console.log(`❌ ${this.workedExample.reason}`);
+    }
+    return this.workedExample;
+  }
+
   /**
    * Compare creator results with validator results
    *
@@ -326,6 +607,7 @@ export class Validator {
       }
 
       console.log('Comparing creator results with validator results');
+      const answersMatch = createAnswerComparator(this.worldData.worldInfo?.return_schema);
 
       const comparisonResults = {
         worldName: this.worldData.worldName,
@@ -383,50 +665,36 @@ export class Validator {
             continue;
           }
 
-          const creatorValue = JSON.stringify(creatorResult.result);
-          const validatorValue = JSON.stringify(validatorResult.result);
-          const matches = creatorValue === validatorValue;
+          const matches = answersMatch(creatorResult.result, validatorResult.result);
+          // Per-key differences are kept for the validation notes and the repair loop
+          const differences = matches ? [] : diffResults(creatorResult.result, validatorResult.result, answersMatch);
 
           comparisonResults.questions[questionId].validatorResults.push({
             validatorId: validator.validatorId,
             validatorModel: validator.validatorModel,
             result: validatorResult.result,
-            matches
+            matches,
+            ...(differences.length > 0 ? { differences } : {})
           });
 
           if (!matches) {
             comparisonResults.questions[questionId].agreement = false;
             console.log(`❌ Question ${questionId}: Results mismatch with ${validator.validatorModel}`);
-            console.log(`   Creator result: ${creatorValue}`);
-            console.log(`   Validator result: ${validatorValue}`);
+            console.log(`   Creator result: ${JSON.stringify(creatorResult.result)}`);
+            console.log(`   Validator result: ${JSON.stringify(validatorResult.result)}`);
 
-            if (
-              typeof creatorResult.result === 'object' &&
-              typeof validatorResult.result === 'object'
-            ) {
+            if (differences.length > 0) {
               console.log('   Detailed differences:');
 
-              const allKeys = new Set([
-                ...Object.keys(creatorResult.result || {}),
-                ...Object.keys(validatorResult.result || {})
-              ]);
-
-              for (const key of allKeys) {
-                const creatorHas =
-                  creatorResult.result && Object.prototype.hasOwnProperty.call(creatorResult.result, key);
-                const validatorHas =
-                  validatorResult.result && Object.prototype.hasOwnProperty.call(validatorResult.result, key);
-
-                if (!creatorHas) {
-                  console.log(`     - Extra key in validator: "${key}" = ${JSON.stringify(validatorResult.result[key])}`);
-                } else if (!validatorHas) {
-                  console.log(`     - Missing key in validator: "${key}" = ${JSON.stringify(creatorResult.result[key])}`);
-                } else if (
-                  JSON.stringify(creatorResult.result[key]) !== JSON.stringify(validatorResult.result[key])
-                ) {
+              for (const { key, issue, creator, validator: validatorValue } of differences) {
+                if (issue === 'extra') {
+                  console.log(`     - Extra key in validator: "${key}" = ${JSON.stringify(validatorValue)}`);
+                } else if (issue === 'missing') {
+                  console.log(`     - Missing key in validator: "${key}" = ${JSON.stringify(creator)}`);
+                } else {
                   console.log(`     - Different values for "${key}":`);
-                  console.log(`       Creator: ${JSON.stringify(creatorResult.result[key])}`);
-                  console.log(`       Validator: ${JSON.stringify(validatorResult.result[key])}`);
+                  console.log(`       Creator: ${JSON.stringify(creator)}`);
+                  console.log(`       Validator: ${JSON.stringify(validatorValue)}`);
                 }
               }
             }
@@ -436,28 +704,71 @@ export class Validator {
         }
       }
 
+      // Accept each question under the validation policy; `agreement` stays "every validator matched"
+      const validatorCount = this.validatorResults.length;
+      const required = requiredMatches(this.policy, validatorCount);
       let totalQuestions = questionIds.length;
       let agreedQuestions = 0;
+      let unanimousQuestions = 0;
+      const droppedQuestions = [];
 
       for (const questionId of questionIds) {
-        if (comparisonResults.questions[questionId].agreement) {
+        const questionData = comparisonResults.questions[questionId];
+        const matchCount = questionData.validatorResults.filter(v => v.matches).length;
+
+        questionData.matchCount = matchCount;
+        questionData.accepted = !this.creatorResults[questionId].error && matchCount >= required && validatorCount > 0;
+
+        if (questionData.agreement) unanimousQuestions++;
+        if (questionData.accepted) {
           agreedQuestions++;
+        } else {
+          console.log(`❌ Question ${questionId} rejected: ${matchCount}/${validatorCount} validators match, ${required} required`);
+          droppedQuestions.push({
+            id: questionId,
+            question: questionData.question,
+            creatorResult: questionData.creatorResult,
+            creatorError: this.creatorResults[questionId].error || null,
+            matchCount,
+            required,
+            validatorResults: questionData.validatorResults
+          });
         }
       }
 
+      comparisonResults.policy = {
+        ...this.policy,
+        required,
+        validators: validatorCount,
+        description: describePolicy(this.policy, validatorCount)
+      };
       comparisonResults.validatorAgreement = {
         total: totalQuestions,
         agreed: agreedQuestions,
+        unanimous: unanimousQuestions,
         percentage: (agreedQuestions / totalQuestions) * 100
       };
 
       console.log(
-        `Agreement: ${agreedQuestions}/${totalQuestions} questions (${comparisonResults.validatorAgreement.percentage.toFixed(
+        `Agreement (${comparisonResults.policy.description}): ${agreedQuestions}/${totalQuestions} questions (${comparisonResults.validatorAgreement.percentage.toFixed(
           2
         )}%)`
       );
 
-      this.success = agreedQuestions === totalQuestions;
+      // With pruning, rejected questions are dropped as long as enough of them survive
+      const minQuestions = requiredQuestions(this.pruning, totalQuestions);
+      this.success = totalQuestions > 0 && agreedQuestions >= minQuestions;
+      comparisonResults.pruning = {
+        ...this.pruning,
+        required: minQuestions,
+        kept: agreedQuestions
+      };
+      comparisonResults.droppedQuestions = droppedQuestions;
+
+      if (this.success && droppedQuestions.length > 0) {
+        console.log(`✂️  Pruned ${droppedQuestions.length} question(s): ${droppedQuestions.map(q => q.id).join(', ')}`);
+      }
+
       return comparisonResults;
     } catch (error) {
       console.error('Error comparing results:', error);
@@ -466,7 +777,7 @@ export class Validator {
   }
 
   /**
-   * Get answers if validators agree with creator
+   * Get answers if validators agree with creator (only accepted questions when pruned)
    *
    * @param {Object} comparisonResults - Comparison results
    * @returns {Object|null} - Agreed answers or null if no agreement
@@ -475,7 +786,7 @@ export class Validator {
     try {
       if (!comparisonResults) return null;
       if (!this.success) {
-        console.log('No agreed answers as validators do not fully agree with creator');
+        console.log('No agreed answers as the validators do not meet the validation policy');
         return null;
       }
 
@@ -483,6 +794,7 @@ export class Validator {
       const answers = {};
 
       for (const [questionId, data] of Object.entries(comparisonResults.questions)) {
+        if (data.accepted === false) continue;
         answers[questionId] = {
           question: data.question,
           expectedResult: data.creatorResult
@@ -496,6 +808,34 @@ export class Validator {
     }
   }
 
+  /**
+   * Structured description of every rejected question: parameters, the creator's answer and
+   * what each disagreeing validator returned (with per-key differences)
+   *
+   * @param {Object} comparisonResults - Comparison results
+   * @returns {Array<Object>}
+   */
+  getDisagreements(comparisonResults) {
+    if (!comparisonResults?.questions) return [];
+
+    return Object.entries(comparisonResults.questions)
+      .filter(([, data]) => data.accepted === false)
+      .map(([questionId, data]) => ({
+        id: questionId,
+        question: data.question,
+        parameters: this.creatorResults?.[questionId]?.parameters ?? {},
+        creatorResult: data.creatorResult,
+        creatorError: this.creatorResults?.[questionId]?.error || null,
+        validators: data.validatorResults
+          .filter(v => !v.matches)
+          .map(v => ({
+            model: v.validatorModel,
+            ...(v.error ? { error: v.error } : { result: v.result }),
+            differences: v.differences || []
+          }))
+      }));
+  }
+
   /**
    * Run full validation for a CVRB from database record
    *
@@ -505,6 +845,10 @@ export class Validator {
   async validateWorldFromDB(dbRecord) {
     try {
       console.log(`Starting validation for world: ${dbRecord.world_name || dbRecord.creator}`);
+      this.determinism = null;
+      this.fuzz = null;
+      this.runtime = null;
+      this.workedExample = null;
 
       const loaded = await this.loadWorldFromDB(dbRecord);
       if (!loaded) {
@@ -512,16 +856,48 @@ export class Validator {
       }
 
       await this.runWorldCode();
+      const determinism = this.determinismRuns > 0 ? await this.checkDeterminism() : null;
       await this.runValidatorCode();
       const comparisonResults = await this.compareResults();
+      // Rejected questions already carry their disagreements – fuzz and time the accepted ones
+      const acceptedQuestions = this.worldData.questions.filter(q => comparisonResults.questions[q.id]?.accepted !== false);
+      const fuzz = this.fuzzSettings.cases > 0 ? await this.checkFuzz(acceptedQuestions) : null;
+      const runtime = this.runtimeBudgets ? this.checkRuntimeBudgets(acceptedQuestions) : null;
+      const workedExample = await this.checkWorkedExample();
+
+      // Agreement is worthless if the creator's own answers are not reproducible,
+      // or if the implementations only agree on the authored inputs
+      if (determinism && !determinism.deterministic) {
+        this.success = false;
+      }
+      if (fuzz && !fuzz.passed) {
+        this.success = false;
+      }
+      // Questions must stay answerable by direct simulation within the promised limits
+      if (runtime && !runtime.withinBudget) {
+        this.success = false;
+      }
+      // Solvers rely on the published example – it must agree with the code
+      if (workedExample && !workedExample.consistent) {
+        this.success = false;
+      }
       const agreedAnswers = this.getAgreedAnswers(comparisonResults);
 
       return {
         worldName: this.worldData.worldName,
         modelName: this.worldData.modelName,
         success: this.success,
+        reason: [determinism?.reason, fuzz?.reason, runtime?.reason, workedExample?.reason].filter(Boolean).join('; ') || null,
         agreement: comparisonResults.validatorAgreement,
+        policy: comparisonResults.policy,
+        pruning: comparisonResults.pruning,
+        droppedQuestions: this.success ? comparisonResults.droppedQuestions : [],
+        determinism,
+        fuzz,
+        runtime,
+        workedExample,
         comparisonResults,
+        disagreements: [...this.getDisagreements(comparisonResults), ...(fuzz?.divergences || []), ...(workedExample?.mismatches || [])],
         agreedAnswers,
         creatorResults: this.creatorResults,
         validatorResults: this.validatorResults
@@ -0,0 +1,58 @@
+/**
+ * Worked-example check – the spec's worked example, in its machine-readable form, is run
+ * through the creator's Simulation and must reproduce the states it publishes. Solvers lean
+ * on the example, so one that contradicts the world code misleads them.
+ *
+ * Expected shape (see prompts/world-creation.txt):
+ *   {
+ *     trace: "prose trace with every intermediate state",
+ *     parameters: { ... },                                  // input of the example run
+ *     expected: { ... },                                    // what sim.run(parameters) returns
+ *     checkpoints: [{ parameters: { ... }, expected: { ... } }]   // intermediate states, e.g. the
+ *   }                                                       // same run stopped after step 1
+ * Worlds with a prose-only worked_example are not checked.
+ */
+
+/**
+ * Parse the worked example if it is (or holds) the machine-readable form
+ *
+ * @param {*} example - spec.worked_example
+ * @returns {Object|null} - { parameters, expected, checkpoints } or null for prose examples
+ */
+export function parseWorkedExample(example) {
+  let value = example;
+  if (typeof value === 'string' && value.trim().startsWith('{')) {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  if (!value.parameters || typeof value.parameters !== 'object' || value.expected === undefined) return null;
+  return value;
+}
+
+/**
+ * Runs to check: the example itself, then each checkpoint
+ *
+ * @param {*} example - spec.worked_example
+ * @returns {Array<{id: string, text: string, parameters: Object, expected: *}>} - Empty for prose examples
+ */
+export function workedExampleCases(example) {
+  const parsed = parseWorkedExample(example);
+  if (!parsed) return [];
+
+  const cases = [{ id: 'example', text: 'Worked example – final state', parameters: parsed.parameters, expected: parsed.expected }];
+  (Array.isArray(parsed.checkpoints) ? parsed.checkpoints : []).forEach((checkpoint, index) => {
+    if (!checkpoint || typeof checkpoint.parameters !== 'object' || checkpoint.expected === undefined) return;
+    cases.push({
+      id: `example~checkpoint${index + 1}`,
+      text: `Worked example – checkpoint ${index + 1}`,
+      parameters: checkpoint.parameters,
+      expected: checkpoint.expected
+    });
+  });
+  return cases;
+}
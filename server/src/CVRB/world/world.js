@@ -21,6 +21,7 @@ export class World {
     this.validators = null;
     this.tests = null;
     this.answers = null;
+    this.returnSchema = null;
     this.report = null;
   }
 
@@ -98,6 +99,7 @@ export class World {
       this.data = await fs.readJSON(worldJsonPath);
       this.worldName = this.data.world.name;
       this.modelName = modelName;
+      this.returnSchema = this.data.world.return_schema ?? null;
       
       // Load description
       const descriptionPath = path.join(worldDir, 'description', 'description.txt');
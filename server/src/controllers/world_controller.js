@@ -1,5 +1,6 @@
 import { WorldHelpers } from '../models/World.js';
 import { SolutionHelpers } from '../models/Solution.js';
+import { SolutionRunHelpers } from '../models/SolutionRun.js';
 import db from '../db.js';
 
 const sequelize = db.getSequelize();
@@ -88,6 +89,45 @@ class WorldController {
     }
   }
 
+  /**
+   * GET /api/worlds/:id/solution-runs
+   * Returns every solver run on a CVRB (oldest first, without raw responses) and the
+   * score drift per model and solver mode
+   * Optional `model` and `solver_mode` restrict the runs
+   */
+  static async getWorldSolutionRuns(req, res) {
+    try {
+      const { id } = req.params;
+      const { model, solver_mode: solverMode } = req.query;
+      const worldId = parseInt(id);
+
+      if (!worldId || isNaN(worldId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid CVRB ID'
+        });
+      }
+
+      const runs = await SolutionRunHelpers.getRunsByWorldId(worldId, { model, solverMode });
+
+      const { calculateScoreDrift } = await import('../CVRB/stats/score_drift.js');
+      return res.json({
+        success: true,
+        count: runs.length,
+        data: runs,
+        drift: calculateScoreDrift(runs)
+      });
+
+    } catch (error) {
+      console.error('Error getting CVRB solution runs:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve solution runs',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * DELETE /api/worlds/:id
    * Deletes a CVRB and all its solutions
@@ -190,15 +230,17 @@ class WorldController {
 
   /**
    * GET /api/creator-stats
-   * Returns simple pass/fail status for models that can create valid worlds
+   * Returns simple pass/fail status for models that can create valid worlds.
+   * Only creators are listed: models enabled for the creator role in the model
+   * registry, plus any model that has created a world in the selected set.
    */
   static async getCreatorStats(req, res) {
     try {
       const { set } = req.query;
       
-      // Import models config to get all available models
-      const { ModelsConfig } = await import('../openrouter/models.js');
-      const allModels = Object.values(ModelsConfig).map(config => config.apiName);
+      // Import the model registry to get the configured creator models
+      const { modelRegistry, ModelRoles } = await import('../openrouter/models.js');
+      const creatorModels = modelRegistry.forRole(ModelRoles.CREATOR).map(config => config.apiName);
       
       // Build the WHERE clause based on set filter
       let whereClause = '1=1';
@@ -220,8 +262,19 @@ class WorldController {
         replacements
       });
 
+      // Models that attempted creation in this set, whether or not they succeeded
+      const attemptedModels = await sequelize.query(`
+        SELECT DISTINCT creator
+        FROM worlds
+        WHERE ${whereClause}
+      `, {
+        type: sequelize.QueryTypes.SELECT,
+        replacements
+      });
+
       const passedModelNames = passedModels.map(row => row.creator);
-      const failedModelNames = allModels.filter(model => !passedModelNames.includes(model));
+      const allCreators = new Set([...creatorModels, ...attemptedModels.map(row => row.creator)]);
+      const failedModelNames = [...allCreators].filter(model => !passedModelNames.includes(model));
 
       return res.json({
         success: true,
@@ -245,14 +298,24 @@ class WorldController {
    * GET /api/solver-stats
    * Returns aggregated solver statistics across all worlds
    * Calculates stats by examining raw_responses and validating against expected answers
+   * Optional `prompt_version` restricts results to one solver prompt revision (version or hash)
+   * Optional `solver_mode` selects 'reasoning' (default), 'code', 'agent' or 'all' solutions
+   * Optional `k` sets k for pass@k (default: the number of samples per question)
    */
   static async getSolverStats(req, res) {
     try {
-      const { set } = req.query;
+      const { set, prompt_version: promptVersion, solver_mode: solverMode, k } = req.query;
+
+      if (k !== undefined && k !== '' && !(/^\d+$/.test(k) && parseInt(k, 10) >= 1)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid k – expected an integer of at least 1'
+        });
+      }
 
       // Delegated to shared stats helper to avoid duplicate logic
       const { calculateSolverStats } = await import('../CVRB/stats/solver_stats.js');
-      const { stats: solverStats, detailedStats: solverDetails } = await calculateSolverStats({ set });
+      const { stats: solverStats, detailedStats: solverDetails } = await calculateSolverStats({ set, promptVersion, solverMode, k });
       return res.json({
         success: true,
         count: solverStats.length,
@@ -269,6 +332,33 @@ class WorldController {
       });
     }
   }
+
+  /**
+   * GET /api/cost-stats
+   * Returns LLM token usage and cost by role and model, plus accuracy per dollar for solvers
+   */
+  static async getCostStats(req, res) {
+    try {
+      const { set } = req.query;
+
+      const { calculateCostStats } = await import('../CVRB/stats/cost_stats.js');
+      const { byRole, byModel, solvers } = await calculateCostStats({ set });
+      return res.json({
+        success: true,
+        byRole,
+        byModel,
+        solvers
+      });
+
+    } catch (error) {
+      console.error('Error getting cost stats:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve cost statistics',
+        message: error.message
+      });
+    }
+  }
 }
 
 export default WorldController;
\ No newline at end of file
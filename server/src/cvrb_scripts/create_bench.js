@@ -16,7 +16,7 @@ import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 
 import { CVRB } from '../CVRB/CVRB.js';
-import { ModelsConfig } from '../openrouter/models.js';
+import { modelRegistry, ModelRoles } from '../openrouter/models.js';
 import { promoteWorlds } from '../CVRB/helpers/world_promotion.js';
 import { BenchmarkReporter } from '../tools/benchmark_reporter.js';
 
@@ -38,19 +38,11 @@ const EXCEPTIONAL_SCORE = 0.4;     // Threshold for automatic promotion
 //left to  Opus
 //+address no opus as solver
 
-// Creator, validator and solver model selections (arrays for readability)
-const CREATOR_MODELS = [ModelsConfig.CLAUDE_4_OPUS];
-const VALIDATOR_MODELS = [ModelsConfig.O3];
-const SOLVER_MODELS = [
-  ModelsConfig.GROK_4,
-  ModelsConfig.O3,
-  ModelsConfig.O4_MINI_HIGH,
-  ModelsConfig.GEMINI_2_5_PRO,
-  ModelsConfig.GEMINI_2_5_FLASH,    
-  ModelsConfig.CLAUDE_4_SONNET,
-  ModelsConfig.DEEPSEEK_R1,
-  ModelsConfig.QWEN3_THINKING,
-];
+// Creator, validator and solver model selections – per-role defaults of the
+// model registry (src/openrouter/models.json5)
+const CREATOR_MODELS = modelRegistry.defaults(ModelRoles.CREATOR);
+const VALIDATOR_MODELS = modelRegistry.defaults(ModelRoles.VALIDATOR);
+const SOLVER_MODELS = modelRegistry.defaults(ModelRoles.SOLVER);
 
 const reporter = new BenchmarkReporter();
 
@@ -10,7 +10,7 @@
  */
 
 import { CVRB } from '../CVRB/CVRB.js';
-import { ModelsConfig } from '../openrouter/models.js';
+import { modelRegistry, ModelRoles } from '../openrouter/models.js';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -30,8 +30,8 @@ dotenv.config({ path: path.join(__dirname, '..', '..', '.env') });
 // Configuration
 // ----------------------------------------------------------------------------
 const WORLDS_COUNT = 2; // Default number of worlds to create
-const CREATOR_MODEL = ModelsConfig.CLAUDE_4_OPUS;
-const VALIDATOR_MODELS = [ModelsConfig.O3];
+const CREATOR_MODEL = modelRegistry.defaults(ModelRoles.CREATOR)[0];
+const VALIDATOR_MODELS = modelRegistry.defaults(ModelRoles.VALIDATOR);
 
 // ----------------------------------------------------------------------------
 // Main
@@ -6,7 +6,7 @@
  */
 
 import { CVRB } from '../CVRB/CVRB.js';
-import { ModelsConfig } from '../openrouter/models.js';
+import { modelRegistry } from '../openrouter/models.js';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -21,11 +21,11 @@ dotenv.config({ path: path.join(__dirname, '..', '..', '.env') });
 // Default set to solve; change here when needed
 const setId = 1;
 
-// Choose solver models here
+// Choose solver models here (registry keys or aliases)
 const solverModels = [
-  ModelsConfig.GPT_4o,
-  ModelsConfig.GPT_5,
-];
+  'GPT_4o',
+  'GPT_5',
+].map(name => modelRegistry.resolve(name));
 
 // ------------------------------ EXECUTION ------------------------------- //
 
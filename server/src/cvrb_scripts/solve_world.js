@@ -10,7 +10,7 @@
  */
 
 import { CVRB } from '../CVRB/CVRB.js';
-import { ModelsConfig } from '../openrouter/models.js';
+import { modelRegistry } from '../openrouter/models.js';
 import { WorldHelpers } from '../models/World.js';
 import { quality } from '../CVRB/helpers/quality.js';
 import dotenv from 'dotenv';
@@ -31,24 +31,15 @@ const DEFAULT_WORLD_IDS = [81,79,73,74,75,76,65,67,69,64]
 const cliWorldIds = process.argv.slice(2).map(Number).filter(Boolean);
 const worldIds = cliWorldIds.length ? cliWorldIds : DEFAULT_WORLD_IDS;
 
-// quick test
-// const solverModels = [
-//   ModelsConfig.GROK_4,
-//   ModelsConfig.O3,
-//   ModelsConfig.O4_MINI_HIGH,
-//   ModelsConfig.GEMINI_2_5_PRO,
-//   ModelsConfig.GEMINI_2_5_FLASH,  
-//   ModelsConfig.CLAUDE_4_OPUS,
-//   ModelsConfig.CLAUDE_4_SONNET,
-//   ModelsConfig.DEEPSEEK_R1,
-//   ModelsConfig.QWEN3_THINKING,
-// ]; 
+// quick test – every default solver of the model registry
+// const solverModels = modelRegistry.defaults('solver');
 
+// Choose solver models here (registry keys or aliases)
 const solverModels = [
-  ModelsConfig.GPT_4o,  
-  // ModelsConfig.CLAUDE_4_SONNET,  
-  // ModelsConfig.CLAUDE_4_OPUS,  
-]; 
+  'GPT_4o',
+  // 'CLAUDE_4_SONNET',
+  // 'CLAUDE_4_OPUS',
+].map(name => modelRegistry.resolve(name));
 
 // ------------------------------ EXECUTION ------------------------------- //
 
@@ -3,9 +3,12 @@
 /**
  * Build DB Tables
  *
- * Creates or updates the `worlds` and `solutions` tables to match the Sequelize
- * models. Runs `sync({ alter: true })` which will add any missing columns or
- * indexes without dropping data.
+ * Creates or updates the `worlds`, `solutions`, `solution_runs` and `llm_calls` tables to
+ * match the Sequelize models. Runs `sync({ alter: true })` which will add any missing
+ * columns or indexes without dropping data.
+ *
+ * `solutions` and `solution_runs` reference each other: `solutions` is synced without the
+ * latest_run_id foreign key, which is added once `solution_runs` exists.
  *
  * Usage: node src/cvrb_scripts/build_db.js
  */
@@ -17,6 +20,8 @@ import dotenv from 'dotenv';
 import db from '../db.js';
 import World from '../models/World.js';
 import Solution from '../models/Solution.js';
+import SolutionRun from '../models/SolutionRun.js';
+import LLMCall from '../models/LLMCall.js';
 
 // -----------------------------------------------------------------------------
 // Environment
@@ -40,6 +45,19 @@ class DBBuilder {
     // Create/update tables – run worlds first so FK on solutions is satisfied
     await World.sync({ alter: true });
     await Solution.sync({ alter: true });
+    await SolutionRun.sync({ alter: true });
+    await LLMCall.sync({ alter: true });
+
+    // Same constraint name as migration 011 creates
+    await db.getSequelize().query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'solutions_latest_run_id_fkey') THEN
+          ALTER TABLE solutions ADD CONSTRAINT solutions_latest_run_id_fkey
+          FOREIGN KEY (latest_run_id) REFERENCES solution_runs(id) ON DELETE SET NULL;
+        END IF;
+      END $$;
+    `);
 
     console.log('✅ Tables are in sync with Sequelize models.');
 
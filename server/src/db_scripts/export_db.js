@@ -3,7 +3,7 @@
 /**
  * DB Exporter
  *
- * Dumps the `worlds` and `solutions` tables to JSON files that can be re-imported
+ * Dumps the `worlds`, `solutions`, `solution_runs` and `llm_calls` tables to JSON files that can be re-imported
  * later. The JSON files are saved under `server/src/db_exports` by default.
  *
  * Usage: node src/cvrb_scripts/export_db.js [outputDir]
@@ -18,6 +18,8 @@ import dotenv from 'dotenv';
 import db from '../db.js';
 import World from '../models/World.js';
 import Solution from '../models/Solution.js';
+import SolutionRun from '../models/SolutionRun.js';
+import LLMCall from '../models/LLMCall.js';
 
 // -----------------------------------------------------------------------------
 // Environment
@@ -44,14 +46,18 @@ class DBExporter {
 
     await fs.ensureDir(this.outputDir);
 
-    const [worlds, solutions] = await Promise.all([
+    const [worlds, solutions, solutionRuns, llmCalls] = await Promise.all([
       World.findAll({ raw: true }),
-      Solution.findAll({ raw: true })
+      Solution.findAll({ raw: true }),
+      SolutionRun.findAll({ raw: true }),
+      LLMCall.findAll({ raw: true })
     ]);
 
     await Promise.all([
       this._writeJSON('worlds.json', worlds),
-      this._writeJSON('solutions.json', solutions)
+      this._writeJSON('solutions.json', solutions),
+      this._writeJSON('solution_runs.json', solutionRuns),
+      this._writeJSON('llm_calls.json', llmCalls)
     ]);
 
     console.log(`✅ Export completed. Files are located at ${this.outputDir}`);
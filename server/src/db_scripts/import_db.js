@@ -3,15 +3,18 @@
 /**
  * DB Importer
  *
- * Clears the `solutions` and `worlds` tables and loads records from JSON dump
- * files generated by `export_db.js`.
+ * Clears the `worlds`, `solutions`, `solution_runs` and `llm_calls` tables and loads
+ * records from JSON dump files generated by `export_db.js`.
  *
  * IMPORTANT: This script **deletes** the current table contents. Make sure you
- * have the correct backup before running.
+ * have the correct backup before running. Dumps without `solution_runs.json` or
+ * `llm_calls.json` (made before those tables were exported) are refused when the
+ * database holds run history or LLM calls, since importing them would wipe it.
  *
  * Usage: node src/cvrb_scripts/import_db.js [inputDir]
- *   inputDir (optional) – relative directory name containing `worlds.json` and
- *                          `solutions.json` (default: db_exports)
+ *   inputDir (optional) – relative directory name containing `worlds.json`,
+ *                          `solutions.json` and optionally `solution_runs.json`
+ *                          and `llm_calls.json` (default: db_exports)
  */
 
 import fs from 'fs-extra';
@@ -22,6 +25,8 @@ import dotenv from 'dotenv';
 import db from '../db.js';
 import World from '../models/World.js';
 import Solution from '../models/Solution.js';
+import SolutionRun from '../models/SolutionRun.js';
+import LLMCall from '../models/LLMCall.js';
 
 // -----------------------------------------------------------------------------
 // Environment
@@ -50,21 +55,50 @@ class DBImporter {
     const worldsPath = path.join(this.inputDir, 'worlds.json');
     const solutionsPath = path.join(this.inputDir, 'solutions.json');
 
-    const [worldsData, solutionsData] = await Promise.all([
+    const [worldsData, solutionsData, runsData, callsData] = await Promise.all([
       fs.readJson(worldsPath),
-      fs.readJson(solutionsPath)
+      fs.readJson(solutionsPath),
+      this._readOptionalJSON('solution_runs.json'),
+      this._readOptionalJSON('llm_calls.json')
     ]);
 
+    // Deleting solutions cascades to solution_runs, deleting worlds detaches llm_calls –
+    // never do that with a dump that cannot restore them
+    const [existingRuns, existingCalls] = await Promise.all([SolutionRun.count(), LLMCall.count()]);
+    if ((!runsData && existingRuns > 0) || (!callsData && existingCalls > 0)) {
+      console.error(`Exiting: the dump has no ${!runsData && existingRuns > 0 ? 'solution_runs.json' : 'llm_calls.json'} ` +
+        `but the database holds ${existingRuns} solution run(s) and ${existingCalls} LLM call(s). ` +
+        'Back them up with `npm run backup-db` first or import into an empty database.');
+      await db.close();
+      process.exit(1);
+    }
+
     const transaction = await sequelize.transaction();
 
     try {
-      // Delete existing data (solutions first due to FK)
+      // Delete existing data (dependent tables first due to FK)
+      await LLMCall.destroy({ where: {}, transaction });
+      await SolutionRun.destroy({ where: {}, transaction });
       await Solution.destroy({ where: {}, transaction });
       await World.destroy({ where: {}, transaction, cascade: true });
 
-      // Bulk insert from dumps, include IDs for FK integrity
+      // Bulk insert from dumps, include IDs for FK integrity. solutions and solution_runs
+      // reference each other – link the latest runs once both are in.
       await World.bulkCreate(worldsData, { transaction });
-      await Solution.bulkCreate(solutionsData, { transaction });
+      await Solution.bulkCreate(solutionsData.map(solution => ({ ...solution, latest_run_id: null })), { transaction });
+      await SolutionRun.bulkCreate(runsData || [], { transaction });
+      await LLMCall.bulkCreate(callsData || [], { transaction });
+
+      const latestRuns = solutionsData
+        .filter(solution => solution.latest_run_id)
+        .map(solution => ({ id: solution.id, latest_run_id: solution.latest_run_id }));
+      if (latestRuns.length > 0) {
+        await sequelize.query(`
+          UPDATE solutions s SET latest_run_id = (link->>'latest_run_id')::integer
+          FROM json_array_elements(CAST(:latestRuns AS json)) AS link
+          WHERE s.id = (link->>'id')::integer
+        `, { replacements: { latestRuns: JSON.stringify(latestRuns) }, transaction });
+      }
 
       // Sync sequences with max(id)
       await sequelize.query(
@@ -75,6 +109,14 @@ class DBImporter {
         "SELECT setval(pg_get_serial_sequence('solutions', 'id'), (SELECT COALESCE(MAX(id), 1) FROM solutions));",
         { transaction }
       );
+      await sequelize.query(
+        "SELECT setval(pg_get_serial_sequence('solution_runs', 'id'), (SELECT COALESCE(MAX(id), 1) FROM solution_runs));",
+        { transaction }
+      );
+      await sequelize.query(
+        "SELECT setval(pg_get_serial_sequence('llm_calls', 'id'), (SELECT COALESCE(MAX(id), 1) FROM llm_calls));",
+        { transaction }
+      );
 
       await transaction.commit();
       console.log('✅ Import completed successfully.');
@@ -86,6 +128,15 @@ class DBImporter {
       await db.close();
     }
   }
+
+  /**
+   * Read a dump file that older exports do not have
+   * @returns {Promise<Array|null>} - null when the file is missing
+   */
+  async _readOptionalJSON(fileName) {
+    const fullPath = path.join(this.inputDir, fileName);
+    return (await fs.pathExists(fullPath)) ? fs.readJson(fullPath) : null;
+  }
 }
 
 // -----------------------------------------------------------------------------
@@ -38,7 +38,8 @@ dotenv.config({ path: path.join(__dirname, '..', '..', '.env') });
  * @returns {Promise<number[]>} Array of numeric scores (0-100)
  */
 async function fetchWorldScores (worldId) {
-  const solutions = await SolutionHelpers.getSolutionsByWorldId(worldId);
+  // Quality separates models on pure reasoning – code and agent solutions are not counted
+  const solutions = await SolutionHelpers.getSolutionsByWorldId(worldId, { solverMode: 'reasoning' });
   return solutions
     .map((s) => {
       // Convert to numeric; treat null/undefined/NaN as 0 (worst score)
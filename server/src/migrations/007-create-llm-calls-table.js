@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Migration to create the llm_calls table (token usage and cost per LLM call)
+ * Usage: node src/migrations/007-create-llm-calls-table.js
+ */
+
+import db from '../db.js';
+
+async function createLLMCallsTable() {
+  try {
+    console.log('Creating llm_calls table...');
+    
+    // Test database connection
+    const connected = await db.testConnection();
+    if (!connected) {
+      console.error('Failed to connect to database');
+      process.exit(1);
+    }
+
+    const sequelize = db.getSequelize();
+    
+    const createTableSQL = `
+      CREATE TABLE IF NOT EXISTS llm_calls (
+        id SERIAL PRIMARY KEY,
+        model VARCHAR(255) NOT NULL,
+        role VARCHAR(255),
+        world_id INTEGER REFERENCES worlds(id) ON DELETE SET NULL,
+        question_id VARCHAR(255),
+        correlation_id VARCHAR(255),
+        prompt_file VARCHAR(255),
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        reasoning_tokens INTEGER NOT NULL DEFAULT 0,
+        total_tokens INTEGER NOT NULL DEFAULT 0,
+        cost REAL,
+        cost_source VARCHAR(255),
+        duration_ms INTEGER,
+        status VARCHAR(255) NOT NULL DEFAULT 'success',
+        error_kind VARCHAR(255),
+        replayed BOOLEAN NOT NULL DEFAULT FALSE,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+      
+      -- Create indexes for the aggregate queries
+      CREATE INDEX IF NOT EXISTS idx_llm_calls_model ON llm_calls(model);
+      CREATE INDEX IF NOT EXISTS idx_llm_calls_role ON llm_calls(role);
+      CREATE INDEX IF NOT EXISTS idx_llm_calls_world_id ON llm_calls(world_id);
+      CREATE INDEX IF NOT EXISTS idx_llm_calls_correlation_id ON llm_calls(correlation_id);
+    `;
+    
+    await sequelize.query(createTableSQL);
+    
+    console.log('✅ llm_calls table created successfully!');
+    
+    // Show table structure
+    const [tableInfo] = await sequelize.query(`
+      SELECT column_name, data_type, is_nullable, column_default 
+      FROM information_schema.columns 
+      WHERE table_name = 'llm_calls' 
+      ORDER BY ordinal_position;
+    `);
+    
+    console.log('\n📋 Table structure:');
+    console.table(tableInfo);
+    
+  } catch (error) {
+    console.error('❌ Error creating table:', error.message);
+    if (error.original) {
+      console.error('Database error:', error.original.message);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+createLLMCallsTable();
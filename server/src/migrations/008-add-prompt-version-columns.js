@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Migration to add prompt version columns to worlds and solutions tables
+ * Usage: node src/migrations/008-add-prompt-version-columns.js
+ */
+
+import db from '../db.js';
+
+async function addPromptVersionColumns() {
+  try {
+    console.log('Adding prompt version columns to worlds and solutions tables...');
+    
+    // Test database connection
+    const connected = await db.testConnection();
+    if (!connected) {
+      console.error('Failed to connect to database');
+      process.exit(1);
+    }
+
+    const sequelize = db.getSequelize();
+    
+    const addColumnsSQL = `
+      ALTER TABLE worlds 
+      ADD COLUMN IF NOT EXISTS prompt_versions JSONB NOT NULL DEFAULT '{}'::jsonb;
+      
+      ALTER TABLE solutions 
+      ADD COLUMN IF NOT EXISTS prompt_version JSONB;
+      
+      -- Solver stats filter on the solver prompt revision
+      CREATE INDEX IF NOT EXISTS idx_solutions_prompt_version ON solutions ((prompt_version->>'version'));
+      
+      -- Add comments for the new columns
+      COMMENT ON COLUMN worlds.prompt_versions IS 'Prompt templates that produced this CVRB, by role: { creator: { file, version, hash }, validator: ... }';
+      COMMENT ON COLUMN solutions.prompt_version IS 'Solver prompt template that produced this solution: { file, version, hash }';
+    `;
+    
+    await sequelize.query(addColumnsSQL);
+    
+    console.log('✅ prompt version columns added successfully!');
+    
+    // Show updated table structure
+    const [tableInfo] = await sequelize.query(`
+      SELECT table_name, column_name, data_type, is_nullable, column_default 
+      FROM information_schema.columns 
+      WHERE table_name IN ('worlds', 'solutions') AND column_name LIKE 'prompt_version%'
+      ORDER BY table_name, ordinal_position;
+    `);
+    
+    console.log('\n📋 New columns:');
+    console.table(tableInfo);
+    
+  } catch (error) {
+    console.error('❌ Error adding columns:', error.message);
+    if (error.original) {
+      console.error('Database error:', error.original.message);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+addPromptVersionColumns();
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+/**
+ * Migration to add the repair_rounds column to the worlds table
+ * Usage: node src/migrations/009-add-repair-rounds-column.js
+ */
+
+import db from '../db.js';
+
+async function addRepairRoundsColumn() {
+  try {
+    console.log('Adding repair_rounds column to worlds table...');
+    
+    // Test database connection
+    const connected = await db.testConnection();
+    if (!connected) {
+      console.error('Failed to connect to database');
+      process.exit(1);
+    }
+
+    const sequelize = db.getSequelize();
+    
+    const addColumnSQL = `
+      ALTER TABLE worlds 
+      ADD COLUMN IF NOT EXISTS repair_rounds JSONB NOT NULL DEFAULT '[]'::jsonb;
+      
+      COMMENT ON COLUMN worlds.repair_rounds IS 'Repair rounds run after failed validation: [{ round, model, diagnosis, changed, previous, disagreements, validation }]';
+    `;
+    
+    await sequelize.query(addColumnSQL);
+    
+    console.log('✅ repair_rounds column added successfully!');
+    
+    // Show updated table structure
+    const [tableInfo] = await sequelize.query(`
+      SELECT column_name, data_type, is_nullable, column_default 
+      FROM information_schema.columns 
+      WHERE table_name = 'worlds' AND column_name = 'repair_rounds';
+    `);
+    
+    console.log('\n📋 New column:');
+    console.table(tableInfo);
+    
+  } catch (error) {
+    console.error('❌ Error adding column:', error.message);
+    if (error.original) {
+      console.error('Database error:', error.original.message);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+addRepairRoundsColumn();
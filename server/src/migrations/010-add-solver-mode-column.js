@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Migration to add the solver_mode column to the solutions table and make
+ * (model, world_id, solver_mode) the unique key
+ * Usage: node src/migrations/010-add-solver-mode-column.js
+ */
+
+import db from '../db.js';
+
+async function addSolverModeColumn() {
+  try {
+    console.log('Adding solver_mode column to solutions table...');
+    
+    // Test database connection
+    const connected = await db.testConnection();
+    if (!connected) {
+      console.error('Failed to connect to database');
+      process.exit(1);
+    }
+
+    const sequelize = db.getSequelize();
+    
+    const addColumnSQL = `
+      ALTER TABLE solutions 
+      ADD COLUMN IF NOT EXISTS solver_mode VARCHAR(32) NOT NULL DEFAULT 'reasoning';
+      
+      COMMENT ON COLUMN solutions.solver_mode IS 'How the model solved the CVRB: reasoning (JSON answers), code (executed programs) or agent (run_js sessions)';
+      
+      -- A model may now have one solution per mode for the same world
+      DROP INDEX IF EXISTS idx_solutions_unique_model_world;
+      DROP INDEX IF EXISTS solutions_model_world_id;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_solutions_unique_model_world_mode 
+      ON solutions(model, world_id, solver_mode);
+    `;
+    
+    await sequelize.query(addColumnSQL);
+    
+    console.log('✅ solver_mode column added successfully!');
+    
+    // Show updated table structure
+    const [tableInfo] = await sequelize.query(`
+      SELECT column_name, data_type, is_nullable, column_default 
+      FROM information_schema.columns 
+      WHERE table_name = 'solutions' AND column_name = 'solver_mode';
+    `);
+    
+    console.log('\n📋 New column:');
+    console.table(tableInfo);
+    
+  } catch (error) {
+    console.error('❌ Error adding column:', error.message);
+    if (error.original) {
+      console.error('Database error:', error.original.message);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+addSolverModeColumn();
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Migration to create the solution_runs table (every solver run of a model on a world),
+ * add solutions.latest_run_id and record the current solutions as their first run
+ * Usage: node src/migrations/011-create-solution-runs-table.js
+ */
+
+import db from '../db.js';
+
+async function createSolutionRunsTable() {
+  try {
+    console.log('Creating solution_runs table...');
+
+    // Test database connection
+    const connected = await db.testConnection();
+    if (!connected) {
+      console.error('Failed to connect to database');
+      process.exit(1);
+    }
+
+    const sequelize = db.getSequelize();
+
+    const createTableSQL = `
+      CREATE TABLE IF NOT EXISTS solution_runs (
+        id SERIAL PRIMARY KEY,
+        solution_id INTEGER NOT NULL REFERENCES solutions(id) ON DELETE CASCADE,
+        model VARCHAR(255) NOT NULL,
+        world_id INTEGER NOT NULL REFERENCES worlds(id) ON DELETE CASCADE,
+        solver_mode VARCHAR(32) NOT NULL DEFAULT 'reasoning',
+        score INTEGER,
+        raw_responses JSONB DEFAULT '{}',
+        results JSONB DEFAULT '{}',
+        prompt_version JSONB,
+        config JSONB DEFAULT '{}',
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+
+      -- Create indexes for the history queries
+      CREATE INDEX IF NOT EXISTS idx_solution_runs_solution_id ON solution_runs(solution_id);
+      CREATE INDEX IF NOT EXISTS idx_solution_runs_world_id ON solution_runs(world_id);
+      CREATE INDEX IF NOT EXISTS idx_solution_runs_model ON solution_runs(model);
+
+      ALTER TABLE solutions
+      ADD COLUMN IF NOT EXISTS latest_run_id INTEGER REFERENCES solution_runs(id) ON DELETE SET NULL;
+
+      COMMENT ON COLUMN solutions.latest_run_id IS 'Latest run of this model, world and solver mode in solution_runs';
+
+      -- Existing solutions become the first run of their history
+      WITH inserted AS (
+        INSERT INTO solution_runs (solution_id, model, world_id, solver_mode, score, raw_responses, results, prompt_version, config, "createdAt", "updatedAt")
+        SELECT id, model, world_id, solver_mode, score, raw_responses, results, prompt_version, '{}', "updatedAt", "updatedAt"
+        FROM solutions
+        WHERE latest_run_id IS NULL
+        RETURNING id, solution_id
+      )
+      UPDATE solutions s SET latest_run_id = inserted.id
+      FROM inserted
+      WHERE s.id = inserted.solution_id;
+    `;
+
+    await sequelize.query(createTableSQL);
+
+    console.log('✅ solution_runs table created successfully!');
+
+    // Show table structure
+    const [tableInfo] = await sequelize.query(`
+      SELECT column_name, data_type, is_nullable, column_default
+      FROM information_schema.columns
+      WHERE table_name = 'solution_runs'
+      ORDER BY ordinal_position;
+    `);
+
+    console.log('\n📋 Table structure:');
+    console.table(tableInfo);
+
+  } catch (error) {
+    console.error('❌ Error creating table:', error.message);
+    if (error.original) {
+      console.error('Database error:', error.original.message);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+createSolutionRunsTable();
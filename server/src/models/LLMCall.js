@@ -0,0 +1,178 @@
+import { DataTypes } from 'sequelize';
+import db from '../db.js';
+
+const sequelize = db.getSequelize();
+
+const LLMCall = sequelize.define('LLMCall', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  model: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Model API name the request was sent to'
+  },
+  role: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Pipeline role of the call: creator, validator or solver'
+  },
+  world_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'worlds',
+      key: 'id'
+    },
+    onDelete: 'SET NULL',
+    comment: 'World the call belongs to (assigned after creation for creator/validator calls)'
+  },
+  question_id: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Question id for solver calls'
+  },
+  correlation_id: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Groups the calls of one world creation before the world has an id'
+  },
+  prompt_file: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Prompt template used for the call'
+  },
+  prompt_tokens: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+  completion_tokens: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+  reasoning_tokens: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+  total_tokens: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+  cost: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    comment: 'Cost in USD – reported by the provider or derived from model pricing'
+  },
+  cost_source: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Where cost came from: provider or pricing'
+  },
+  duration_ms: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Wall-clock duration of the call including retries'
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'success',
+    comment: 'success or error'
+  },
+  error_kind: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'LLMErrorKinds value for failed calls'
+  },
+  replayed: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'True when the response came from a cassette instead of the provider'
+  }
+}, {
+  tableName: 'llm_calls',
+  timestamps: true, // Adds createdAt and updatedAt
+  indexes: [
+    { fields: ['model'] },
+    { fields: ['role'] },
+    { fields: ['world_id'] },
+    { fields: ['correlation_id'] }
+  ]
+});
+
+// Model helper functions
+export const LLMCallHelpers = {
+  /**
+   * Create a new LLM call record
+   */
+  async createCall(callData) {
+    try {
+      const call = await LLMCall.create({
+        model: callData.model,
+        role: callData.role || null,
+        world_id: callData.world_id || null,
+        question_id: callData.question_id || null,
+        correlation_id: callData.correlation_id || null,
+        prompt_file: callData.prompt_file || null,
+        prompt_tokens: callData.prompt_tokens || 0,
+        completion_tokens: callData.completion_tokens || 0,
+        reasoning_tokens: callData.reasoning_tokens || 0,
+        total_tokens: callData.total_tokens || 0,
+        cost: callData.cost ?? null,
+        cost_source: callData.cost_source || null,
+        duration_ms: callData.duration_ms ?? null,
+        status: callData.status || 'success',
+        error_kind: callData.error_kind || null,
+        replayed: callData.replayed === true
+      });
+
+      return call.dataValues;
+    } catch (error) {
+      console.error('Error creating LLM call record:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Attach every call of a world creation to the world once it has been saved
+   */
+  async assignWorld(correlationId, worldId) {
+    try {
+      const [updatedRowsCount] = await LLMCall.update(
+        { world_id: worldId },
+        { where: { correlation_id: correlationId } }
+      );
+
+      return updatedRowsCount;
+    } catch (error) {
+      console.error('Error assigning LLM calls to world:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get all calls made for a world
+   */
+  async getCallsByWorldId(worldId) {
+    try {
+      const calls = await LLMCall.findAll({
+        where: { world_id: worldId },
+        order: [['createdAt', 'ASC']]
+      });
+
+      return calls.map(call => call.dataValues);
+    } catch (error) {
+      console.error('Error getting LLM calls by world ID:', error);
+      throw error;
+    }
+  }
+};
+
+export default LLMCall;
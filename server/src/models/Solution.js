@@ -24,6 +24,12 @@ const Solution = sequelize.define('Solution', {
     onDelete: 'CASCADE',
     comment: 'Foreign key reference to the CVRB being solved'
   },
+  solver_mode: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+    defaultValue: 'reasoning',
+    comment: "How the model solved the CVRB: 'reasoning' (JSON answers), 'code' (executed programs) or 'agent' (run_js sessions)"
+  },
   score: {
     type: DataTypes.INTEGER,
     allowNull: true,
@@ -38,6 +44,18 @@ const Solution = sequelize.define('Solution', {
     type: DataTypes.JSONB,
     defaultValue: {},
     comment: 'JSON containing detailed results and analysis'
+  },
+  prompt_version: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Solver prompt template that produced this solution: { file, version, hash }'
+  },
+  latest_run_id: {
+    // Foreign key to solution_runs(id) ON DELETE SET NULL – added by build_db.js / migration 011
+    // once solution_runs exists, as solution_runs references solutions too
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Latest run in solution_runs – the row mirrors that run'
   }
 }, {
   tableName: 'solutions',
@@ -45,7 +63,7 @@ const Solution = sequelize.define('Solution', {
   indexes: [
     {
       unique: true,
-      fields: ['model', 'world_id']
+      fields: ['model', 'world_id', 'solver_mode']
     }
   ]
 });
@@ -60,9 +78,11 @@ export const SolutionHelpers = {
       const solution = await Solution.create({
         model: solutionData.model,
         world_id: solutionData.world_id,
+        solver_mode: solutionData.solver_mode || 'reasoning',
         score: solutionData.score || null,
         raw_responses: solutionData.raw_responses || [],
-        results: solutionData.results || {}
+        results: solutionData.results || {},
+        prompt_version: solutionData.prompt_version || null
       });
       
       return solution.dataValues;
@@ -81,7 +101,8 @@ export const SolutionHelpers = {
         {
           score: updateData.score,
           raw_responses: updateData.raw_responses,
-          results: updateData.results
+          results: updateData.results,
+          prompt_version: updateData.prompt_version
         },
         {
           where: { id: solutionId }
@@ -100,6 +121,28 @@ export const SolutionHelpers = {
     }
   },
 
+  /**
+   * Point a solution at its latest run in solution_runs
+   */
+  async setLatestRun(solutionId, runId) {
+    try {
+      const [updatedRowsCount] = await Solution.update(
+        { latest_run_id: runId },
+        { where: { id: solutionId } }
+      );
+
+      if (updatedRowsCount === 0) {
+        throw new Error(`Solution with id ${solutionId} not found`);
+      }
+
+      const updatedSolution = await Solution.findByPk(solutionId);
+      return updatedSolution.dataValues;
+    } catch (error) {
+      console.error('Error setting latest solution run:', error);
+      throw error;
+    }
+  },
+
   /**
    * Get solution by ID
    */
@@ -114,21 +157,25 @@ export const SolutionHelpers = {
   },
 
   /**
-   * Get solutions by CVRB ID - one solution per model (latest by createdAt)
+   * Get solutions by CVRB ID - one solution per model and solver mode (latest by updatedAt)
+   *
+   * @param {number} worldId
+   * @param {Object} [options]
+   * @param {string} [options.solverMode] - Only solutions of this solver mode
    */
-  async getSolutionsByWorldId(worldId) {
+  async getSolutionsByWorldId(worldId, { solverMode = null } = {}) {
     try {
       const solutions = await sequelize.query(`
         SELECT * FROM (
           SELECT *,
-                 ROW_NUMBER() OVER (PARTITION BY model ORDER BY "updatedAt" DESC) as rn
+                 ROW_NUMBER() OVER (PARTITION BY model, solver_mode ORDER BY "updatedAt" DESC) as rn
           FROM solutions 
-          WHERE world_id = :worldId
+          WHERE world_id = :worldId${solverMode ? ' AND solver_mode = :solverMode' : ''}
         ) ranked_solutions
         WHERE rn = 1
         ORDER BY score DESC NULLS LAST, "updatedAt" DESC
       `, {
-        replacements: { worldId },
+        replacements: { worldId, solverMode },
         type: sequelize.QueryTypes.SELECT
       });
       
@@ -179,14 +226,15 @@ export const SolutionHelpers = {
   },
 
   /**
-   * Get solution by model and CVRB (unique combination)
+   * Get solution by model, CVRB and solver mode (unique combination)
    */
-  async getSolutionByModelAndWorld(model, worldId) {
+  async getSolutionByModelAndWorld(model, worldId, solverMode = 'reasoning') {
     try {
       const solution = await Solution.findOne({
         where: { 
           model: model,
-          world_id: worldId 
+          world_id: worldId,
+          solver_mode: solverMode
         }
       });
       
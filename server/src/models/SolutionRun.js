@@ -0,0 +1,149 @@
+import { DataTypes } from 'sequelize';
+import db from '../db.js';
+
+const sequelize = db.getSequelize();
+
+/**
+ * Every solver run of a model on a CVRB. `solutions` keeps one row per model, world and
+ * solver mode pointing at the latest run (`latest_run_id`); earlier runs stay here.
+ */
+const SolutionRun = sequelize.define('SolutionRun', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  solution_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'solutions',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Solution row this run belongs to'
+  },
+  model: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Model name that produced the run'
+  },
+  world_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'worlds',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Foreign key reference to the CVRB being solved'
+  },
+  solver_mode: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+    defaultValue: 'reasoning',
+    comment: "Solver mode of the run: 'reasoning', 'code' or 'agent'"
+  },
+  score: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Score of the run'
+  },
+  raw_responses: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'Raw responses of the run per question'
+  },
+  results: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'Detailed results of the run'
+  },
+  prompt_version: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Solver prompt template of the run: { file, version, hash }'
+  },
+  config: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    comment: 'Solver settings of the run (samples, temperature, time budgets, agent limits)'
+  }
+}, {
+  tableName: 'solution_runs',
+  timestamps: true, // Adds createdAt and updatedAt
+  indexes: [
+    { fields: ['solution_id'] },
+    { fields: ['world_id'] },
+    { fields: ['model'] }
+  ]
+});
+
+// Model helper functions
+export const SolutionRunHelpers = {
+  /**
+   * Create a new run record
+   */
+  async createRun(runData) {
+    try {
+      const run = await SolutionRun.create({
+        solution_id: runData.solution_id,
+        model: runData.model,
+        world_id: runData.world_id,
+        solver_mode: runData.solver_mode || 'reasoning',
+        score: runData.score ?? null,
+        raw_responses: runData.raw_responses || {},
+        results: runData.results || {},
+        prompt_version: runData.prompt_version || null,
+        config: runData.config || {}
+      });
+
+      return run.dataValues;
+    } catch (error) {
+      console.error('Error creating solution run:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the runs of a CVRB, oldest first – without raw responses
+   *
+   * @param {number} worldId
+   * @param {Object} [options]
+   * @param {string} [options.model] - Only runs of this model
+   * @param {string} [options.solverMode] - Only runs of this solver mode
+   */
+  async getRunsByWorldId(worldId, { model = null, solverMode = null } = {}) {
+    try {
+      const where = { world_id: worldId };
+      if (model) where.model = model;
+      if (solverMode) where.solver_mode = solverMode;
+
+      const runs = await SolutionRun.findAll({
+        where,
+        attributes: { exclude: ['raw_responses'] },
+        order: [['createdAt', 'ASC'], ['id', 'ASC']]
+      });
+
+      return runs.map(run => run.dataValues);
+    } catch (error) {
+      console.error('Error getting solution runs by CVRB ID:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get run by ID (with raw responses)
+   */
+  async getRunById(runId) {
+    try {
+      const run = await SolutionRun.findByPk(runId);
+      return run ? run.dataValues : null;
+    } catch (error) {
+      console.error('Error getting solution run by ID:', error);
+      throw error;
+    }
+  }
+};
+
+export default SolutionRun;
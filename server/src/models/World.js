@@ -55,6 +55,18 @@ const World = sequelize.define('World', {
     defaultValue: 0.0,
     allowNull: false,
     comment: 'Quality score for the CVRB as a float, default value is 0.0'
+  },
+  prompt_versions: {
+    type: DataTypes.JSONB,
+    defaultValue: {},
+    allowNull: false,
+    comment: 'Prompt templates that produced this CVRB, by role: { creator: { file, version, hash }, validator: ... }'
+  },
+  repair_rounds: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    allowNull: false,
+    comment: 'Repair rounds run after failed validation: [{ round, model, diagnosis, changed, previous, disagreements, validation }]'
   }
 }, {
   tableName: 'worlds',
@@ -77,7 +89,9 @@ export const WorldHelpers = {
         validation_code: worldData.validation_code || [],
         world_name: worldData.world_name || null,
         set: worldData.set || 0,
-        quality_score: worldData.quality_score || 0.0
+        quality_score: worldData.quality_score || 0.0,
+        prompt_versions: worldData.prompt_versions || {},
+        repair_rounds: worldData.repair_rounds || []
       });
       
       return world.dataValues;
@@ -287,6 +301,28 @@ export const WorldHelpers = {
       console.error('Error updating CVRB quality score:', error);
       throw error;
     }
+  },
+
+  /**
+   * Store a repaired CVRB (code, world_info, validation code) and its repair rounds
+   */
+  async updateRepair(worldId, { world_code, world_info, validation_code, repair_rounds }) {
+    try {
+      const [updatedRowsCount] = await World.update(
+        { world_code, world_info, validation_code, repair_rounds },
+        { where: { id: worldId } }
+      );
+      
+      if (updatedRowsCount === 0) {
+        throw new Error(`World with id ${worldId} not found`);
+      }
+      
+      const updatedWorld = await World.findByPk(worldId);
+      return updatedWorld.dataValues;
+    } catch (error) {
+      console.error('Error updating CVRB repair:', error);
+      throw error;
+    }
   }
 };
 
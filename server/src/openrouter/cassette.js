@@ -0,0 +1,238 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/** Default cassette directory – the same folder logRequest writes to */
+export const DEFAULT_CASSETTE_DIR = path.join(path.resolve(__dirname, '../../'), 'llm_requests');
+
+/**
+ * Cassette modes, selected with LLM_CASSETTE_MODE:
+ *   off    – every request goes to the provider (default)
+ *   replay – strict: every request MUST be answered from the cassette, a miss throws
+ *   record – passthrough-record: hits are replayed, misses go to the provider and are recorded
+ */
+export const CassetteModes = {
+  OFF: 'off',
+  REPLAY: 'replay',
+  RECORD: 'record'
+};
+
+/**
+ * Build the lookup key for a request
+ *
+ * @param {string} model - Model API name
+ * @param {string|Array} prompt - Rendered prompt (string or message array)
+ * @returns {string} - sha256 hex digest
+ */
+export function cassetteKey(model, prompt) {
+  const promptText = typeof prompt === 'string' ? prompt : JSON.stringify(prompt);
+  return crypto.createHash('sha256').update(`${model}\n${promptText}`).digest('hex');
+}
+
+/**
+ * Record-and-replay store for LLM calls.
+ *
+ * A cassette is a directory of JSON files in the format written by logRequest
+ * ({ timestamp, model, prompt, response, reasoning, usage, error, ... }), so any existing `llm_requests/`
+ * folder can be replayed as-is. Requests are keyed by model + rendered prompt.
+ * When the same key was recorded several times (e.g. identical creation prompts)
+ * the recordings are served in timestamp order; once they run out, replay mode
+ * repeats the last one and record mode fetches and records a new response.
+ */
+export class Cassette {
+  /**
+   * @param {Object} options
+   * @param {string} [options.dir=DEFAULT_CASSETTE_DIR] - Cassette directory
+   * @param {string} [options.mode=CassetteModes.OFF] - One of CassetteModes
+   */
+  constructor({ dir = DEFAULT_CASSETTE_DIR, mode = CassetteModes.OFF } = {}) {
+    if (!Object.values(CassetteModes).includes(mode)) {
+      throw new Error(`Invalid cassette mode "${mode}". Expected one of: ${Object.values(CassetteModes).join(', ')}`);
+    }
+
+    this.dir = path.resolve(dir);
+    this.mode = mode;
+    this.entries = null; // key -> [completion, ...] once loaded
+    this.cursors = new Map();
+    this._loading = null;
+  }
+
+  /**
+   * Whether the cassette takes part in requests at all
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.mode !== CassetteModes.OFF;
+  }
+
+  /**
+   * Whether the cassette directory is also the request log directory, in which
+   * case logRequest already records every response.
+   * @returns {boolean}
+   */
+  sharesLogDir() {
+    return this.dir === path.resolve(DEFAULT_CASSETTE_DIR);
+  }
+
+  /**
+   * Index every recorded request in the cassette directory (runs once)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (this.entries) return;
+    if (!this._loading) {
+      this._loading = this._readEntries().then(entries => {
+        this.entries = entries;
+      });
+    }
+    await this._loading;
+  }
+
+  /**
+   * @private
+   * @returns {Promise<Map<string, Object[]>>}
+   */
+  async _readEntries() {
+    const entries = new Map();
+    if (!await fs.pathExists(this.dir)) {
+      return entries;
+    }
+
+    const files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+    const records = [];
+
+    for (const file of files) {
+      try {
+        const data = await fs.readJson(path.join(this.dir, file));
+        if (data.error || typeof data.response !== 'string' || !data.response || !data.model) continue;
+
+        records.push({
+          key: data.cassetteKey || cassetteKey(data.model, data.prompt),
+          timestamp: data.timestamp || '',
+          file,
+          completion: {
+            response: data.response,
+            reasoning: data.reasoning || null,
+            usage: data.usage || null,
+            finishReason: data.finishReason || null,
+            providerId: data.providerId || null
+          }
+        });
+      } catch (error) {
+        console.error(`Cassette: skipping unreadable file ${file}:`, error.message);
+      }
+    }
+
+    records.sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.file.localeCompare(b.file));
+    for (const record of records) {
+      if (!entries.has(record.key)) entries.set(record.key, []);
+      entries.get(record.key).push(record.completion);
+    }
+
+    console.log(`Cassette: loaded ${records.length} recorded requests from ${this.dir}`);
+    return entries;
+  }
+
+  /**
+   * Look up the next recorded response for a request
+   *
+   * @param {string} model - Model API name
+   * @param {string|Array} prompt - Rendered prompt
+   * @returns {Promise<Object|null>} - Recorded completion ({ response, reasoning, usage, ... }) or null on a miss
+   */
+  async lookup(model, prompt) {
+    await this.load();
+
+    const key = cassetteKey(model, prompt);
+    const responses = this.entries.get(key);
+    if (!responses || responses.length === 0) return null;
+
+    const cursor = this.cursors.get(key) || 0;
+    // Once every recording was served, record mode asks the provider for a new one
+    if (cursor >= responses.length && this.mode === CassetteModes.RECORD) return null;
+
+    this.cursors.set(key, cursor + 1);
+    return responses[Math.min(cursor, responses.length - 1)];
+  }
+
+  /**
+   * Store a fresh response. The file is only written when the cassette lives
+   * outside the request log directory (logRequest covers that case).
+   *
+   * @param {string} model - Model API name
+   * @param {string|Array} prompt - Rendered prompt
+   * @param {Object} completion - { response, reasoning, usage, finishReason, providerId }
+   * @param {Object} params - Request parameters
+   * @returns {Promise<void>}
+   */
+  async record(model, prompt, completion, params = {}) {
+    await this.load();
+
+    const key = cassetteKey(model, prompt);
+    if (!this.entries.has(key)) this.entries.set(key, []);
+    this.entries.get(key).push(completion);
+    // A freshly recorded response must not be served to the request that produced it again
+    this.cursors.set(key, this.entries.get(key).length);
+
+    if (this.sharesLogDir()) return;
+
+    await fs.ensureDir(this.dir);
+    const timestamp = new Date().toISOString();
+    const fileName = `${timestamp.replace(/[:.]/g, '-')}-${key.slice(0, 12)}.json`;
+    await fs.writeJson(
+      path.join(this.dir, fileName),
+      { timestamp, cassetteKey: key, model, params, prompt, ...completion, error: null },
+      { spaces: 2 }
+    );
+  }
+
+  /**
+   * Resolve a request through the cassette
+   *
+   * @param {string} model - Model API name
+   * @param {string|Array} prompt - Rendered prompt
+   * @param {Function} fetchResponse - async () => completion ({ response, reasoning, usage, ... }), used on a miss
+   * @returns {Promise<Object>} - The completion with `replayed` set
+   */
+  async resolve(model, prompt, fetchResponse) {
+    const recorded = await this.lookup(model, prompt);
+    if (recorded !== null) {
+      return { ...recorded, replayed: true };
+    }
+
+    if (this.mode === CassetteModes.REPLAY) {
+      throw new Error(`Cassette miss in strict replay mode for model ${model} (key ${cassetteKey(model, prompt).slice(0, 12)}) – no recording in ${this.dir}`);
+    }
+
+    return { ...await fetchResponse(), replayed: false };
+  }
+}
+
+let activeCassette = null;
+
+/**
+ * Cassette configured from LLM_CASSETTE_MODE / LLM_CASSETTE_DIR (created on first use)
+ * @returns {Cassette}
+ */
+export function getCassette() {
+  if (!activeCassette) {
+    activeCassette = new Cassette({
+      mode: process.env.LLM_CASSETTE_MODE || CassetteModes.OFF,
+      dir: process.env.LLM_CASSETTE_DIR || DEFAULT_CASSETTE_DIR
+    });
+  }
+  return activeCassette;
+}
+
+/**
+ * Replace the active cassette, e.g. to replay a fixture directory in a regression run
+ *
+ * @param {Cassette|null} cassette - New cassette, or null to fall back to the env configuration
+ */
+export function setCassette(cassette) {
+  activeCassette = cassette;
+}
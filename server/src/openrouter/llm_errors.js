@@ -0,0 +1,157 @@
+/**
+ * Typed errors for LLM requests.
+ *
+ * Every failure raised while talking to a provider is normalised into an LLMError
+ * so callers can tell infrastructure problems (rate limits, 5xx, network) apart
+ * from model failures (unparsable answers, wrong answers, running out of time or
+ * out of its streaming budget).
+ */
+export const LLMErrorKinds = {
+  RATE_LIMIT: 'rate_limit',
+  SERVER: 'server',
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  BUDGET: 'budget_exceeded',
+  FATAL: 'fatal'
+};
+
+/** HTTP statuses worth retrying besides 429 */
+const RETRYABLE_STATUSES = new Set([408, 409, 425, 500, 502, 503, 504, 520, 522, 524, 529]);
+
+/** Low-level network error codes (axios / Node) worth retrying */
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE',
+  'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ERR_NETWORK'
+]);
+
+/** Error kinds caused by the provider or the network rather than the model */
+const INFRASTRUCTURE_KINDS = new Set([LLMErrorKinds.RATE_LIMIT, LLMErrorKinds.SERVER, LLMErrorKinds.NETWORK]);
+
+/** Account statuses (bad key, no credits) – fatal, but not the model's fault */
+const ACCOUNT_STATUSES = new Set([401, 402]);
+
+export class LLMError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details
+   * @param {string} details.kind - One of LLMErrorKinds
+   * @param {boolean} [details.retryable=false] - Whether another attempt may succeed
+   * @param {number|null} [details.status=null] - HTTP / provider status code
+   * @param {number|null} [details.retryAfterMs=null] - Server-requested delay before retrying
+   * @param {Error|null} [details.cause=null] - Original error
+   */
+  constructor(message, { kind, retryable = false, status = null, retryAfterMs = null, cause = null } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.kind = kind || LLMErrorKinds.FATAL;
+    this.retryable = retryable;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.cause = cause;
+    this.attempts = 1;
+  }
+
+  /**
+   * Infrastructure failures (rate limits, 5xx, network, account errors) say nothing about
+   * the model's reasoning and must not be scored as wrong answers. Everything else –
+   * timeouts, exceeded budgets, rejected requests such as an overlong context or a
+   * moderation refusal, unclassified errors – counts against the model.
+   * @returns {boolean}
+   */
+  get isInfrastructure() {
+    return INFRASTRUCTURE_KINDS.has(this.kind) || (this.kind === LLMErrorKinds.FATAL && ACCOUNT_STATUSES.has(this.status));
+  }
+}
+
+/**
+ * A streamed response was aborted because it ran past its token or time budget
+ * (see streaming.js). Never retried; the output received so far is kept.
+ */
+export class BudgetExceededError extends LLMError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details
+   * @param {string} details.limit - Budget that was exceeded: 'tokens' or 'time'
+   * @param {Object} details.budget - The budget in force ({ maxTokens, maxTimeMs })
+   * @param {number} details.tokens - Completion tokens received (estimated while streaming)
+   * @param {number} details.elapsedMs - Time since the stream was opened
+   * @param {string} [details.partialResponse=''] - Content received before the abort
+   * @param {string} [details.partialReasoning=''] - Reasoning received before the abort
+   * @param {Object|null} [details.usage=null] - Usage block for the tokens consumed
+   */
+  constructor(message, { limit, budget, tokens, elapsedMs, partialResponse = '', partialReasoning = '', usage = null }) {
+    super(message, { kind: LLMErrorKinds.BUDGET, retryable: false });
+    this.name = 'BudgetExceededError';
+    this.limit = limit;
+    this.budget = budget;
+    this.tokens = tokens;
+    this.elapsedMs = elapsedMs;
+    this.partialResponse = partialResponse;
+    this.partialReasoning = partialReasoning;
+    this.usage = usage;
+  }
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+ *
+ * @param {string|number|undefined} value - Header value
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
+/**
+ * Build an LLMError for an HTTP / provider status code
+ *
+ * @param {number} status - Status code
+ * @param {string} message - Error message
+ * @param {Object} [extra] - Extra LLMError details (retryAfterMs, cause)
+ * @returns {LLMError}
+ */
+export function errorForStatus(status, message, extra = {}) {
+  if (status === 429) {
+    return new LLMError(message, { kind: LLMErrorKinds.RATE_LIMIT, retryable: true, status, ...extra });
+  }
+  if (RETRYABLE_STATUSES.has(status)) {
+    return new LLMError(message, { kind: LLMErrorKinds.SERVER, retryable: true, status, ...extra });
+  }
+  return new LLMError(message, { kind: LLMErrorKinds.FATAL, retryable: false, status, ...extra });
+}
+
+/**
+ * Normalise any error thrown by a provider into an LLMError
+ *
+ * @param {Error} error - Error raised by the provider or axios
+ * @returns {LLMError}
+ */
+export function classifyError(error) {
+  if (error instanceof LLMError) return error;
+
+  const response = error && error.response;
+  if (response && response.status) {
+    const apiMessage = response.data?.error?.message || response.data?.message || error.message;
+    return errorForStatus(response.status, `HTTP ${response.status}: ${apiMessage}`, {
+      retryAfterMs: parseRetryAfter(response.headers?.['retry-after']),
+      cause: error
+    });
+  }
+
+  if (error && RETRYABLE_NETWORK_CODES.has(error.code)) {
+    return new LLMError(`Network error (${error.code}): ${error.message}`, {
+      kind: LLMErrorKinds.NETWORK,
+      retryable: true,
+      cause: error
+    });
+  }
+
+  return new LLMError(error?.message || String(error), { kind: LLMErrorKinds.FATAL, cause: error });
+}
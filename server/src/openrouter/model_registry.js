@@ -0,0 +1,256 @@
+import fs from 'fs-extra';
+import path from 'path';
+import JSON5 from 'json5';
+import { fileURLToPath } from 'url';
+import { ProviderNames } from './providers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/** Registry file used when LLM_MODELS_FILE is not set */
+export const DEFAULT_REGISTRY_FILE = path.join(__dirname, 'models.json5');
+
+/** Roles a model can be enabled for */
+export const ModelRoles = {
+  CREATOR: 'creator',
+  VALIDATOR: 'validator',
+  SOLVER: 'solver'
+};
+
+/**
+ * Default model lists and the role their models must be enabled for: one per role,
+ * plus narrower lists for callers that should not use the whole role list
+ */
+export const DefaultLists = {
+  ...ModelRoles,
+  SOLVER_CONTROLLER: 'solver_controller'
+};
+const DEFAULT_LIST_ROLES = {
+  ...Object.fromEntries(Object.values(ModelRoles).map(role => [role, role])),
+  [DefaultLists.SOLVER_CONTROLLER]: ModelRoles.SOLVER
+};
+
+const EFFORTS = ['low', 'medium', 'high'];
+
+/** Known entry fields and their validators (return an error message or null) */
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+const ENTRY_FIELDS = {
+  apiName: value => (typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string'),
+  displayName: value => (typeof value === 'string' ? null : 'must be a string'),
+  provider: value => (Object.values(ProviderNames).includes(value) ? null : `must be one of: ${Object.values(ProviderNames).join(', ')}`),
+  baseUrl: value => (typeof value === 'string' ? null : 'must be a string'),
+  apiKeyEnv: value => (typeof value === 'string' ? null : 'must be a string'),
+  responses: value => (Array.isArray(value) ? null : 'must be an array'),
+  effort: value => (EFFORTS.includes(value) ? null : `must be one of: ${EFFORTS.join(', ')}`),
+  temperature: value => (typeof value === 'number' && value >= 0 && value <= 2 ? null : 'must be a number between 0 and 2'),
+  maxTokens: value => (isPositiveInteger(value) ? null : 'must be a positive integer'),
+  contextLength: value => (isPositiveInteger(value) ? null : 'must be a positive integer'),
+  pricing: value => (
+    value && typeof value === 'object' &&
+    ['prompt', 'completion'].every(key => typeof value[key] === 'number' && value[key] >= 0)
+      ? null
+      : 'must be { prompt, completion } with non-negative USD per million tokens'
+  ),
+  roles: value => (
+    Array.isArray(value) && value.every(role => Object.values(ModelRoles).includes(role))
+      ? null
+      : `must be an array of: ${Object.values(ModelRoles).join(', ')}`
+  ),
+  aliases: value => (Array.isArray(value) && value.every(alias => typeof alias === 'string' && alias !== '') ? null : 'must be an array of strings'),
+  concurrency: value => (isPositiveInteger(value) ? null : 'must be a positive integer'),
+  rpm: value => (isPositiveInteger(value) ? null : 'must be a positive integer'),
+  timeoutMs: value => (typeof value === 'number' && value >= 0 ? null : 'must be a non-negative number'),
+  retry: value => (value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object'),
+  stream: value => (typeof value === 'boolean' ? null : 'must be a boolean'),
+  budget: value => (
+    value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.entries(value).every(([key, limit]) => ['maxTokens', 'maxTimeMs'].includes(key) && isPositiveInteger(limit))
+      ? null
+      : 'must be { maxTokens, maxTimeMs } with positive integers'
+  ),
+  streamDelayMs: value => (typeof value === 'number' && value >= 0 ? null : 'must be a non-negative number')
+};
+
+export class ModelRegistryError extends Error {
+  /**
+   * @param {string} source - Registry file (or 'inline')
+   * @param {string[]} problems - Every validation problem found
+   */
+  constructor(source, problems) {
+    super(`Invalid model registry ${source}:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ModelRegistryError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Validated set of model entries with per-role defaults.
+ *
+ * Models can be referenced by registry key ('O3'), apiName ('openai/o3') or any alias ('o3').
+ * Entries are frozen plain objects, so they can be passed anywhere a ModelsConfig entry is expected.
+ */
+export class ModelRegistry {
+  /**
+   * @param {Object} data - Parsed registry ({ models, defaults })
+   * @param {string} [source='inline'] - Registry file, used in errors
+   * @throws {ModelRegistryError} - When the data is invalid
+   */
+  constructor(data, source = 'inline') {
+    const problems = [];
+    this.source = source;
+    this.entries = {};
+    this.lookup = new Map();
+
+    const models = data?.models;
+    if (!models || typeof models !== 'object' || Array.isArray(models)) {
+      throw new ModelRegistryError(source, ['"models" must be an object keyed by model name']);
+    }
+
+    for (const [key, raw] of Object.entries(models)) {
+      if (!raw || typeof raw !== 'object') {
+        problems.push(`${key}: entry must be an object`);
+        continue;
+      }
+      if (raw.apiName === undefined) {
+        problems.push(`${key}: apiName is required`);
+      }
+
+      for (const [field, value] of Object.entries(raw)) {
+        const validate = ENTRY_FIELDS[field];
+        if (!validate) {
+          problems.push(`${key}: unknown field "${field}"`);
+          continue;
+        }
+        const message = validate(value);
+        if (message) problems.push(`${key}.${field} ${message}`);
+      }
+
+      const entry = Object.freeze({ roles: Object.values(ModelRoles), aliases: [], ...raw, key });
+      this.entries[key] = entry;
+
+      for (const name of new Set([key, entry.apiName, ...(Array.isArray(entry.aliases) ? entry.aliases : [])])) {
+        if (typeof name !== 'string') continue;
+        const existing = this.lookup.get(name);
+        if (existing && existing !== entry) {
+          problems.push(`${key}: name "${name}" is already used by ${existing.key}`);
+          continue;
+        }
+        this.lookup.set(name, entry);
+      }
+    }
+
+    this.defaultKeys = {};
+    for (const [list, refs] of Object.entries(data.defaults || {})) {
+      const role = DEFAULT_LIST_ROLES[list];
+      if (!role) {
+        problems.push(`defaults: unknown list "${list}" (expected one of: ${Object.keys(DEFAULT_LIST_ROLES).join(', ')})`);
+        continue;
+      }
+      if (!Array.isArray(refs)) {
+        problems.push(`defaults.${list} must be an array of model names`);
+        continue;
+      }
+
+      this.defaultKeys[list] = [];
+      for (const ref of refs) {
+        const entry = this.lookup.get(ref);
+        if (!entry) {
+          problems.push(`defaults.${list}: unknown model "${ref}"`);
+        } else if (!entry.roles.includes(role)) {
+          problems.push(`defaults.${list}: ${entry.key} is not enabled for the ${role} role`);
+        } else {
+          this.defaultKeys[list].push(entry.key);
+        }
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new ModelRegistryError(source, problems);
+    }
+  }
+
+  /**
+   * Find a model by key, apiName or alias
+   *
+   * @param {string} name - Model reference
+   * @returns {Object|null} - Registry entry
+   */
+  get(name) {
+    return this.lookup.get(name) || null;
+  }
+
+  /**
+   * Resolve a model reference to its entry. Objects that are not registry
+   * entries (e.g. ad-hoc stub configs) are passed through unchanged.
+   *
+   * @param {string|Object} model - Model reference or config object
+   * @returns {Object} - Model config
+   * @throws {Error} - For unknown names
+   */
+  resolve(model) {
+    if (model && typeof model === 'object') {
+      return model;
+    }
+    const entry = this.get(model);
+    if (!entry) {
+      throw new Error(`Unknown model "${model}" – not found in model registry ${this.source}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Every registered model
+   * @returns {Object[]}
+   */
+  all() {
+    return Object.values(this.entries);
+  }
+
+  /**
+   * Models enabled for a role
+   *
+   * @param {string} role - One of ModelRoles
+   * @returns {Object[]}
+   */
+  forRole(role) {
+    return this.all().filter(entry => entry.roles.includes(role));
+  }
+
+  /**
+   * Default models of a list
+   *
+   * @param {string} list - One of DefaultLists (a role, or a narrower list such as solver_controller)
+   * @returns {Object[]}
+   */
+  defaults(list) {
+    return (this.defaultKeys[list] || []).map(key => this.entries[key]);
+  }
+
+  /**
+   * Entries keyed by registry key – the shape of the legacy ModelsConfig object
+   * @returns {Object}
+   */
+  toModelsConfig() {
+    return { ...this.entries };
+  }
+}
+
+/**
+ * Load and validate a registry file
+ *
+ * @param {string} [filePath] - Registry file (defaults to LLM_MODELS_FILE or models.json5)
+ * @returns {ModelRegistry}
+ * @throws {ModelRegistryError} - When the file is invalid
+ */
+export function loadModelRegistry(filePath = process.env.LLM_MODELS_FILE || DEFAULT_REGISTRY_FILE) {
+  const resolvedPath = path.resolve(filePath);
+
+  let data;
+  try {
+    data = JSON5.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  } catch (error) {
+    throw new ModelRegistryError(resolvedPath, [error.message]);
+  }
+
+  return new ModelRegistry(data, resolvedPath);
+}
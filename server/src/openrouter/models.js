@@ -1,58 +1,20 @@
 /**
- * Manages the list of top LLM models from research
+ * Manages the list of top LLM models from research.
+ *
+ * Models are defined in the registry file models.json5 (or LLM_MODELS_FILE), which documents
+ * every supported field and holds the per-role defaults. The file is validated when this
+ * module is first imported – an invalid registry stops the process with every problem listed.
  */
-import fs from 'fs-extra';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { DefaultLists, loadModelRegistry, ModelRoles } from './model_registry.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+export { DefaultLists, ModelRoles };
+
+/** The loaded model registry */
+export const modelRegistry = loadModelRegistry();
 
 /**
- * Configuration for all available LLM models
+ * Configuration for all available LLM models, keyed by registry name
+ * (kept for callers written against the former hard-coded object)
  * @enum {Object}
  */
-
-
-//"effort": "high", // Can be "high", "medium", or "low" (OpenAI-style)
-//Open ai / Grok / Anthropic / Gemini
-
-export const ModelsConfig = {
-  CLAUDE_4_OPUS: {
-    apiName: 'anthropic/claude-opus-4',
-    effort: 'high'
-  },
-  CLAUDE_4_SONNET: {
-    apiName: 'anthropic/claude-sonnet-4',
-    effort: 'high'
-  },
-  GEMINI_2_5_PRO: {
-    apiName: 'google/gemini-2.5-pro'
-  },
-  GEMINI_2_5_FLASH: {
-    apiName: 'google/gemini-2.5-flash'
-  },
-  DEEPSEEK_R1: {
-    apiName: 'deepseek/deepseek-r1-0528'
-  },
-  GROK_4: {
-    apiName: 'x-ai/grok-4'
-  },
-  O3: {
-    apiName: 'openai/o3'
-  },
-  O4_MINI_HIGH: {
-    apiName: 'openai/o4-mini-high',  
-  },
-  GPT_5: {
-    apiName: 'openai/gpt-5',  
-  },
-  
-  QWEN3_THINKING: {
-    apiName: 'qwen/qwen3-235b-a22b-thinking-2507'
-  },
-  GPT_4o: {
-    apiName: 'openai/gpt-4o'
-  },
-
-};
\ No newline at end of file
+export const ModelsConfig = modelRegistry.toModelsConfig();
@@ -1,10 +1,17 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { JSONUtils } from '../tools/json_utils.js';
-import { ModelsConfig } from './models.js';
+import { modelRegistry } from './models.js';
+import { getProvider } from './providers.js';
+import { cassetteKey, getCassette } from './cassette.js';
+import { errorForStatus, LLMError } from './llm_errors.js';
+import { resolveRetryPolicy, withRetry } from './retry_policy.js';
+import { extractUsage, recordLLMCall } from './usage.js';
+import { getScheduler } from './scheduler.js';
+import { loadPromptTemplate, renderPromptTemplate } from './prompt_template.js';
+import { PartialLog, resolveStreamPolicy, streamCompletion } from './streaming.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,28 +19,34 @@ const __dirname = path.dirname(__filename);
 // Initialize environment variables - look for .env file in server root
 dotenv.config({ path: path.resolve(__dirname, '../../.env') });
 
-// Check if API key is available
-if (!process.env.OPENROUTER_API_KEY) {
-  console.error('Error: OPENROUTER_API_KEY is not set in environment variables');
-  process.exit(1);
-}
+/** Directory receiving one log file per LLM request */
+const LOG_DIR = path.join(path.resolve(__dirname, '../../'), 'llm_requests');
 
 /**
  * Logs LLM request and response to a file
  * 
- * @param {string} prompt - The prompt sent to the LLM
- * @param {string} response - The LLM response text
+ * @param {string|Array} prompt - The prompt sent to the LLM (text, or messages for multi-message templates)
+ * @param {Object} completion - What the provider returned (see requestCompletion)
+ * @param {string} completion.response - The LLM response text
+ * @param {string|null} [completion.reasoning] - Reasoning trace
+ * @param {Object|null} [completion.usage] - Provider usage block (token counts, cost)
+ * @param {string|null} [completion.finishReason] - Why the model stopped
+ * @param {string|null} [completion.providerId] - Provider's id for the generation
  * @param {string} model - The model used
  * @param {Object} params - Parameters used for the request
  * @param {Error|null} error - Error object if request failed
  */
-async function logRequest(prompt, response, model, params, error = null) {
+async function logRequest(prompt, completion, model, params, error = null) {
+  const { response = '', reasoning = null, usage = null, finishReason = null, providerId = null } = completion;
+
   try {
     // Create log directory if it doesn't exist
-    const logDir = path.join(path.resolve(__dirname, '../../'), 'llm_requests');
+    const logDir = LOG_DIR;
     await fs.ensureDir(logDir);
     
-    // Generate unique filename with timestamp in format yyyymmdd-hour-minute-second
+    // Generate unique filename with timestamp in format yyyymmdd-hour-minute-second-ms,
+    // suffixed with the cassette key so concurrent requests never overwrite each other
+    const key = cassetteKey(model, prompt);
     const now = new Date();
     const year = now.getFullYear();
     const month = String(now.getMonth() + 1).padStart(2, '0');
@@ -41,18 +54,25 @@ async function logRequest(prompt, response, model, params, error = null) {
     const hours = String(now.getHours()).padStart(2, '0');
     const minutes = String(now.getMinutes()).padStart(2, '0');
     const seconds = String(now.getSeconds()).padStart(2, '0');
+    const millis = String(now.getMilliseconds()).padStart(3, '0');
     
-    const baseFilename = `${year}${month}${day}-${hours}-${minutes}-${seconds}`;
+    const baseFilename = `${year}${month}${day}-${hours}-${minutes}-${seconds}-${millis}-${key.slice(0, 8)}`;
     const jsonFilename = path.join(logDir, `${baseFilename}.json`);
     const responseFilename = path.join(logDir, `${baseFilename}.response`);
+    const reasoningFilename = path.join(logDir, `${baseFilename}.reasoning`);
     
     // Create log data
     const logData = {
-      timestamp: new Date().toISOString(),
+      timestamp: now.toISOString(),
+      cassetteKey: key,
       model,
       params,
       prompt,
       response,
+      reasoning,
+      finishReason,
+      providerId,
+      usage,
       error: error ? {
         message: error.message,
         stack: error.stack
@@ -66,6 +86,11 @@ async function logRequest(prompt, response, model, params, error = null) {
     if (response) {
       await fs.writeFile(responseFilename, response, 'utf8');
     }
+
+    // Reasoning traces can be long – keep them readable next to the response
+    if (reasoning) {
+      await fs.writeFile(reasoningFilename, reasoning, 'utf8');
+    }
     
     console.log(`LLM request logged to ${jsonFilename}`);
   } catch (logError) {
@@ -76,22 +101,46 @@ async function logRequest(prompt, response, model, params, error = null) {
 
 
 /**
- * Calls the OpenRouter API with a prompt
+ * Result of a callLLM call
+ * @typedef {Object} LLMResult
+ * @property {string} content - The response text
+ * @property {string|null} reasoning - Reasoning trace, for models that return one
+ * @property {Object|null} usage - Provider usage block (token counts, cost)
+ * @property {string|null} finishReason - Why the model stopped ('stop', 'length', ...)
+ * @property {string|null} providerId - Provider's id for the generation
+ * @property {string} model - Model API name that answered
+ * @property {boolean} replayed - Whether the response came from the cassette
+ */
+
+/**
+ * Calls the LLM provider configured for the model with a prompt.
+ * The provider comes from the model's registry entry (OpenRouter by default).
  * 
- * @param {string} promptFile - Path to the prompt file relative to src/prompts
- * @param {Object} variables - Variables to inject into the prompt
- * @param {string} model - Model API name to use (e.g. 'x-ai/grok-3-beta')
- * @param {Object} params - Additional parameters for the API call
- * @returns {Promise<string>} - The LLM response
+ * @param {string} promptFile - Path to the prompt template relative to CVRB/prompts
+ * @param {Object} variables - Variables to inject into the prompt (missing required ones throw)
+ * @param {string|Object} model - Model API name, registry key or alias (e.g. 'x-ai/grok-4', 'GROK_4'), or a model config
+ * @param {Object} params - Additional parameters for the API call (override template defaults)
+ * @param {Array<{role: string, content: string}>} [params.messages] - Conversation so far, appended after the
+ *        rendered prompt (multi-turn calls such as the agentic solver)
+ * @param {Object} context - Attribution for usage accounting
+ * @param {string} [context.role] - Pipeline role: 'creator', 'validator' or 'solver'
+ * @param {number} [context.worldId] - World the call belongs to
+ * @param {string} [context.questionId] - Question the call answers
+ * @param {string} [context.correlationId] - Groups the calls of a world creation until it has an id
+ * @returns {Promise<LLMResult>} - The LLM response with its reasoning trace and metadata
  */
 export async function callLLM(
   promptFile,
   variables = {},
   model = null,
-  params = {}
+  params = {},
+  context = {}
 ) {
   let promptTemplate = '';
-  let responseText = '';
+  let completion = { response: '' };
+  let replayed = false;
+  let partialLog = null;
+  const startTime = Date.now();
 
   if (!model) {
     throw new Error('Fatal Error: model parameter is null or undefined.');
@@ -102,8 +151,9 @@ export async function callLLM(
   let modelToUse = '';
 
   if (typeof model === 'string') {
-    modelToUse = model;
-    modelConfig = Object.values(ModelsConfig).find(cfg => cfg.apiName === model) || {};
+    // Unregistered names are sent to the default provider as-is
+    modelConfig = modelRegistry.get(model) || {};
+    modelToUse = modelConfig.apiName || model;
   } else if (typeof model === 'object' && model.apiName) {
     modelConfig = model;
     modelToUse = model.apiName;
@@ -112,30 +162,26 @@ export async function callLLM(
   }
 
   try {
-    // Read prompt template
-    // Determine prompts directory – moved from world/prompts to CVRB/prompts
-    const promptPath = path.join(
-      path.dirname(__dirname),
-      'CVRB',
-      'prompts',
-      promptFile
-    );
+    // Render the prompt template into chat messages (see prompt_template.js)
+    const template = await loadPromptTemplate(promptFile);
+    const rendered = renderPromptTemplate(template, variables);
 
-    if (!fs.existsSync(promptPath)) {
-      throw new Error(`Prompt file not found: ${promptPath}`);
-    }
+    // Multi-turn calls continue the rendered prompt with the conversation so far
+    const { messages: followUp = [], ...callParams } = params;
+    const messages = [...rendered.messages, ...followUp];
 
-    promptTemplate = await fs.readFile(promptPath, 'utf8');
+    // A lone user message is keyed and logged as plain text, like prompts always were;
+    // conversations are keyed by every turn so each one replays its own response
+    const onlyUserMessage = messages.length === 1 && messages[0].role === 'user';
+    promptTemplate = onlyUserMessage ? messages[0].content : messages;
 
-    // Replace variables in prompt if any
-    for (const [key, value] of Object.entries(variables)) {
-      promptTemplate = promptTemplate.replace(new RegExp(`%%${key}%%`, 'g'), value);
-    }
+    // Template defaults sit below the call params
+    params = { ...rendered.params, ...callParams };
 
     // Build request body
     const requestBody = {
       model: modelToUse,
-      messages: [{ role: 'user', content: promptTemplate }]
+      messages
     };
 
     // Add reasoning if effort specified in config
@@ -143,6 +189,11 @@ export async function callLLM(
       requestBody.reasoning = { effort: modelConfig.effort };
     }
 
+    // Cap completion length when the model entry sets maxTokens and the call does not
+    if (modelConfig.maxTokens && params.max_tokens === undefined) {
+      requestBody.max_tokens = modelConfig.maxTokens;
+    }
+
     // Add temperature if specified either in modelConfig or params
     if (typeof modelConfig.temperature !== 'undefined') {
       requestBody.temperature = modelConfig.temperature;
@@ -157,48 +208,175 @@ export async function callLLM(
       }
     }
 
-    // Make API request
-    const response = await axios.post(
-      'https://openrouter.ai/api/v1/chat/completions',
-      requestBody,
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
+    // Streamed responses are mirrored to a .partial file while they arrive (see streaming.js)
+    const streamPolicy = resolveStreamPolicy(modelConfig);
+    if (streamPolicy.enabled) {
+      partialLog = new PartialLog(LOG_DIR, modelToUse);
+    }
+
+    // Provider requests are retried on transient failures and capped in wall-clock time;
+    // every attempt waits for a slot in the shared scheduler (global / per-model limits)
+    const retryPolicy = resolveRetryPolicy(modelConfig);
+    const scheduler = getScheduler();
+    const fetchResponse = () => withRetry(
+      ({ signal }) => requestCompletion(requestBody, modelToUse, modelConfig, signal, { streamPolicy, partialLog }),
+      retryPolicy,
+      `LLM request to ${modelToUse}`,
+      run => scheduler.run(modelToUse, modelConfig, run)
     );
 
-    // Check if response contains an error
-    if (response.data.error) {
-      console.error('OpenRouter API Error:', response.data.error.message);
-      console.error('Error Code:', response.data.error.code);
-      throw new Error(`OpenRouter API Error: ${response.data.error.message}`);
-    }
+    // Replay from the cassette when one is active; misses fall through to the provider
+    const cassette = getCassette();
+    if (cassette.isActive()) {
+      ({ replayed, ...completion } = await cassette.resolve(modelToUse, promptTemplate, fetchResponse));
 
-    if (response.data.message && response.data.code && !response.data.choices) {
-      console.error('OpenRouter API Error:', response.data.message);
-      console.error('Error Code:', response.data.code);
-      throw new Error(`OpenRouter API Error: ${response.data.message}`);
+      if (replayed) {
+        console.log(`LLM response for ${modelToUse} replayed from cassette`);
+      } else {
+        await cassette.record(modelToUse, promptTemplate, completion, requestBody);
+      }
+    } else {
+      completion = await fetchResponse();
     }
 
-    if (!response.data.choices || !response.data.choices[0]) {
-      console.error('Invalid API response structure:');
-      throw new Error('API response missing choices');
+    // Log request and response (replayed responses are already on disk)
+    if (!replayed) {
+      await logRequest(promptTemplate, completion, modelToUse, requestBody);
     }
+    if (partialLog) await partialLog.discard();
 
-    responseText = response.data.choices[0].message.content;
+    await recordLLMCall({
+      ...callAttribution(modelToUse, promptFile, context),
+      ...extractUsage(completion.usage, modelConfig),
+      durationMs: Date.now() - startTime,
+      status: 'success',
+      replayed
+    });
 
-    // Log request and response
-    await logRequest(promptTemplate, responseText, modelToUse, requestBody);
-
-    return responseText;
+    return {
+      content: completion.response,
+      reasoning: completion.reasoning || null,
+      usage: completion.usage || null,
+      finishReason: completion.finishReason || null,
+      providerId: completion.providerId || null,
+      model: modelToUse,
+      replayed
+    };
   } catch (error) {
-    console.error('LLM Request Error:', error.message);
+    const kind = error instanceof LLMError ? ` [${error.kind}, ${error.attempts} attempt(s)]` : '';
+    console.error(`LLM Request Error${kind}:`, error.message);
 
-    // Log the error
-    await logRequest(promptTemplate, responseText, modelToUse, params, error);
+    // Log the error, keeping whatever a budget-aborted stream produced
+    await logRequest(promptTemplate, {
+      response: error.partialResponse ?? completion.response,
+      reasoning: error.partialReasoning || null,
+      usage: error.usage || null
+    }, modelToUse, params, error);
+    if (partialLog) await partialLog.discard();
+
+    // Aborted streams still consumed (estimated) tokens
+    await recordLLMCall({
+      ...callAttribution(modelToUse, promptFile, context),
+      ...extractUsage(error.usage || null, modelConfig),
+      durationMs: Date.now() - startTime,
+      status: 'error',
+      errorKind: error instanceof LLMError ? error.kind : null,
+      replayed: false
+    });
 
     throw error;
   }
+}
+
+/**
+ * Attribution fields of a usage record
+ *
+ * @param {string} model - Model API name
+ * @param {string} promptFile - Prompt file of the call
+ * @param {Object} context - callLLM context argument
+ * @returns {Object}
+ */
+function callAttribution(model, promptFile, context = {}) {
+  return {
+    model,
+    promptFile,
+    role: context.role || null,
+    worldId: context.worldId || null,
+    questionId: context.questionId || null,
+    correlationId: context.correlationId || null
+  };
+}
+
+/**
+ * Reasoning trace of a response message. OpenRouter returns `reasoning` (and the structured
+ * `reasoning_details`), OpenAI-compatible servers often `reasoning_content`.
+ *
+ * @param {Object} message - Response message
+ * @returns {string|null}
+ */
+function extractReasoning(message = {}) {
+  if (typeof message.reasoning === 'string' && message.reasoning) return message.reasoning;
+  if (typeof message.reasoning_content === 'string' && message.reasoning_content) return message.reasoning_content;
+
+  if (Array.isArray(message.reasoning_details)) {
+    const text = message.reasoning_details
+      .map(detail => detail.text || detail.summary || '')
+      .filter(Boolean)
+      .join('\n\n');
+    if (text) return text;
+  }
+
+  return null;
+}
+
+/**
+ * Send a single request through the model's provider and return the response text
+ * together with its reasoning trace, finish reason and the provider's usage block.
+ * Errors reported inside a 200 response body are raised as LLMErrors carrying the
+ * provider's status code so they are classified like HTTP errors.
+ * Requests are streamed when the stream policy is enabled and the provider supports it.
+ *
+ * @param {Object} requestBody - Chat completion request body
+ * @param {string} modelToUse - Model API name
+ * @param {Object} modelConfig - ModelsConfig entry for the model
+ * @param {AbortSignal} signal - Aborts the request when the attempt times out
+ * @param {Object} [streaming]
+ * @param {Object} [streaming.streamPolicy] - Resolved stream policy (see streaming.js)
+ * @param {PartialLog} [streaming.partialLog] - Receives streamed text as it arrives
+ * @returns {Promise<{response: string, reasoning: string|null, usage: Object|null, finishReason: string|null, providerId: string|null}>}
+ * @throws {BudgetExceededError} - When a streamed response runs past its budget
+ */
+async function requestCompletion(requestBody, modelToUse, modelConfig, signal, { streamPolicy = null, partialLog = null } = {}) {
+  const provider = getProvider({ ...modelConfig, apiName: modelToUse });
+  const responseData = streamPolicy && streamPolicy.enabled && typeof provider.stream === 'function'
+    ? await streamCompletion(provider, requestBody, modelConfig, { signal, policy: streamPolicy, partialLog })
+    : await provider.complete(requestBody, modelConfig, { signal });
+
+  // Check if response contains an error
+  if (responseData.error) {
+    console.error(`${provider.name} API Error:`, responseData.error.message);
+    console.error('Error Code:', responseData.error.code);
+    throw errorForStatus(Number(responseData.error.code), `${provider.name} API Error: ${responseData.error.message}`);
+  }
+
+  if (responseData.message && responseData.code && !responseData.choices) {
+    console.error(`${provider.name} API Error:`, responseData.message);
+    console.error('Error Code:', responseData.code);
+    throw errorForStatus(Number(responseData.code), `${provider.name} API Error: ${responseData.message}`);
+  }
+
+  if (!responseData.choices || !responseData.choices[0]) {
+    console.error('Invalid API response structure:');
+    // Usually a truncated upstream reply – worth another attempt
+    throw errorForStatus(502, 'API response missing choices');
+  }
+
+  const choice = responseData.choices[0];
+  return {
+    response: choice.message.content,
+    reasoning: extractReasoning(choice.message),
+    usage: responseData.usage || null,
+    finishReason: choice.finish_reason || null,
+    providerId: responseData.id || null
+  };
 }
\ No newline at end of file
@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import JSON5 from 'json5';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/** Directory holding the prompt templates */
+export const PROMPTS_DIR = path.join(path.dirname(__dirname), 'CVRB', 'prompts');
+
+/**
+ * Prompt template format (every part is optional – a plain text file is a single user message):
+ *
+ *   ---
+ *   { required: ['world_spec'], params: { temperature: 0.2 } }
+ *   ---
+ *   @@system
+ *   You are ...
+ *   @@user
+ *   Spec: %%world_spec%%
+ *   %%#world_code%%
+ *   Code: %%world_code%%
+ *   %%/world_code%%
+ *
+ * - Front matter: a JSON5 object between two `---` lines. `version` labels the prompt revision
+ *   (bump it on every edit), `required` lists variables that must be provided, `params` holds
+ *   default request params (call params and model config win).
+ * - `@@system`, `@@user`, `@@assistant` on their own line start a new chat message.
+ * - `%%name%%` is replaced by the variable; an unfilled placeholder is an error.
+ * - `%%#name%%` ... `%%/name%%` is only kept when the variable is provided and not empty.
+ *   Markers on their own line are removed together with their line.
+ */
+
+const MESSAGE_MARKER = /^@@(system|user|assistant)[ \t]*$/;
+const PLACEHOLDER = /%%([A-Za-z0-9_]+)%%/g;
+
+export class PromptTemplateError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} templateName - Prompt file the error belongs to
+   */
+  constructor(message, templateName) {
+    super(`Prompt template ${templateName}: ${message}`);
+    this.name = 'PromptTemplateError';
+    this.templateName = templateName;
+  }
+}
+
+/**
+ * Parse template source into front matter and raw message bodies
+ *
+ * @param {string} source - Template file contents
+ * @param {string} [name='inline'] - Template name used in errors
+ * @returns {{ name: string, version: string|null, hash: string, meta: Object, params: Object, required: string[], messages: Array<{role: string, content: string}> }}
+ */
+export function parsePromptTemplate(source, name = 'inline') {
+  let body = source.replace(/\r\n/g, '\n');
+  let meta = {};
+  // Content hash of the whole file – identifies the revision even when `version` was not bumped
+  const hash = crypto.createHash('sha256').update(body).digest('hex').slice(0, 12);
+
+  if (body.startsWith('---\n')) {
+    const end = body.indexOf('\n---', 4);
+    if (end === -1) {
+      throw new PromptTemplateError('front matter is not closed with a "---" line', name);
+    }
+    try {
+      meta = JSON5.parse(body.slice(4, end)) || {};
+    } catch (error) {
+      throw new PromptTemplateError(`invalid front matter: ${error.message}`, name);
+    }
+    body = body.slice(end + 4).replace(/^[ \t]*\n/, '');
+  }
+
+  const messages = [];
+  let current = null;
+  const leading = [];
+
+  for (const line of body.split('\n')) {
+    const marker = line.match(MESSAGE_MARKER);
+    if (marker) {
+      current = { role: marker[1], lines: [] };
+      messages.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    } else {
+      leading.push(line);
+    }
+  }
+
+  const version = meta.version !== undefined && meta.version !== null ? String(meta.version) : null;
+
+  // Without any marker the whole file is one user message, exactly as written
+  if (messages.length === 0) {
+    return { name, version, hash, meta, params: meta.params || {}, required: meta.required || [], messages: [{ role: 'user', content: body }] };
+  }
+
+  if (leading.join('').trim() !== '') {
+    throw new PromptTemplateError('text before the first @@system/@@user/@@assistant marker', name);
+  }
+
+  return {
+    name,
+    version,
+    hash,
+    meta,
+    params: meta.params || {},
+    required: meta.required || [],
+    messages: messages.map(message => ({ role: message.role, content: message.lines.join('\n').trim() }))
+  };
+}
+
+/**
+ * Whether a variable counts as provided for sections and required checks
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isProvided(value) {
+  return value !== undefined && value !== null && value !== '' && value !== false;
+}
+
+/**
+ * Resolve `%%#name%%` ... `%%/name%%` sections
+ * @private
+ */
+function renderSections(text, variables, name) {
+  // A marker alone on its line takes the line with it, so removed blocks leave no blank lines
+  const inlined = text.replace(/^[ \t]*(%%[#/][A-Za-z0-9_]+%%)[ \t]*(?:\n|$)/gm, '$1');
+
+  const rendered = inlined.replace(/%%#([A-Za-z0-9_]+)%%([\s\S]*?)%%\/\1%%/g, (match, key, content) => (
+    isProvided(variables[key]) ? content : ''
+  ));
+
+  const unmatched = rendered.match(/%%[#/][A-Za-z0-9_]+%%/);
+  if (unmatched) {
+    throw new PromptTemplateError(`unbalanced section marker ${unmatched[0]}`, name);
+  }
+  return rendered;
+}
+
+/**
+ * Render a parsed template into chat messages
+ *
+ * @param {Object} template - Result of parsePromptTemplate
+ * @param {Object} variables - Values for the placeholders
+ * @returns {{ messages: Array<{role: string, content: string}>, params: Object }}
+ * @throws {PromptTemplateError} - On missing required variables or unfilled placeholders
+ */
+export function renderPromptTemplate(template, variables = {}) {
+  const missingRequired = template.required.filter(key => !isProvided(variables[key]));
+  if (missingRequired.length > 0) {
+    throw new PromptTemplateError(`missing required variables: ${missingRequired.join(', ')}`, template.name);
+  }
+
+  const unfilled = new Set();
+  const messages = template.messages.map(message => {
+    const withSections = renderSections(message.content, variables, template.name);
+
+    // Single pass – values are inserted verbatim and never scanned for placeholders again
+    const content = withSections.replace(PLACEHOLDER, (placeholder, key) => {
+      const value = variables[key];
+      if (value === undefined || value === null) {
+        unfilled.add(key);
+        return placeholder;
+      }
+      return String(value);
+    });
+
+    return { role: message.role, content };
+  });
+
+  if (unfilled.size > 0) {
+    throw new PromptTemplateError(`unfilled placeholders: ${[...unfilled].map(key => `%%${key}%%`).join(', ')}`, template.name);
+  }
+
+  return { messages, params: { ...template.params } };
+}
+
+const templateCache = new Map();
+
+/**
+ * Load and parse a template from CVRB/prompts (cached per file)
+ *
+ * @param {string} promptFile - Path relative to CVRB/prompts
+ * @returns {Promise<Object>} - Parsed template (see parsePromptTemplate)
+ */
+export async function loadPromptTemplate(promptFile) {
+  if (templateCache.has(promptFile)) {
+    return templateCache.get(promptFile);
+  }
+
+  const promptPath = path.join(PROMPTS_DIR, promptFile);
+  if (!await fs.pathExists(promptPath)) {
+    throw new Error(`Prompt file not found: ${promptPath}`);
+  }
+
+  const template = parsePromptTemplate(await fs.readFile(promptPath, 'utf8'), promptFile);
+  templateCache.set(promptFile, template);
+  return template;
+}
+
+/**
+ * Version tag of a template, stored on the worlds and solutions it produced
+ *
+ * @param {string} promptFile - Path relative to CVRB/prompts
+ * @returns {Promise<{file: string, version: string|null, hash: string}>}
+ */
+export async function getPromptVersion(promptFile) {
+  const template = await loadPromptTemplate(promptFile);
+  return { file: promptFile, version: template.version, hash: template.hash };
+}
@@ -0,0 +1,40 @@
+import { OpenAICompatibleProvider } from './providers/openai_compatible_provider.js';
+import { OpenRouterProvider } from './providers/openrouter_provider.js';
+import { StubProvider } from './providers/stub_provider.js';
+
+/**
+ * LLM provider selection.
+ *
+ * Every ModelsConfig entry may name a `provider`; entries without one use OpenRouter.
+ * A provider exposes `name` and `complete(requestBody, modelConfig, { signal })` which
+ * resolves to an OpenAI-style chat completion body. Providers that can stream also expose
+ * `stream(requestBody, modelConfig, { signal, onChunk })` (see streaming.js).
+ */
+export const ProviderNames = {
+  OPENROUTER: 'openrouter',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  STUB: 'stub'
+};
+
+const providerFactories = {
+  [ProviderNames.OPENROUTER]: () => new OpenRouterProvider(),
+  [ProviderNames.OPENAI_COMPATIBLE]: (modelConfig) => OpenAICompatibleProvider.fromModelConfig(modelConfig),
+  [ProviderNames.STUB]: (modelConfig) => new StubProvider(modelConfig)
+};
+
+/**
+ * Resolve the provider instance for a model entry
+ *
+ * @param {Object} modelConfig - ModelsConfig entry (may be empty for unknown models)
+ * @returns {Object} - Provider instance
+ */
+export function getProvider(modelConfig = {}) {
+  const providerName = modelConfig.provider || ProviderNames.OPENROUTER;
+  const factory = providerFactories[providerName];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${providerName}" for model ${modelConfig.apiName}. Expected one of: ${Object.keys(providerFactories).join(', ')}`);
+  }
+
+  return factory(modelConfig);
+}
@@ -0,0 +1,108 @@
+import axios from 'axios';
+import { readServerSentEvents } from '../streaming.js';
+
+/**
+ * Provider for any server exposing the OpenAI `/chat/completions` API
+ * (vLLM, llama.cpp server, Ollama, LM Studio, ...).
+ *
+ * Model entries select it with `provider: 'openai-compatible'` and may set:
+ *   - baseUrl   – e.g. 'http://localhost:11434/v1' (falls back to OPENAI_COMPATIBLE_BASE_URL)
+ *   - apiKeyEnv – name of the env var holding the key (falls back to OPENAI_COMPATIBLE_API_KEY)
+ */
+export class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - API root, without the trailing `/chat/completions`
+   * @param {string} [options.apiKey] - Bearer token, omitted from the request when empty
+   * @param {string} [options.name] - Human-readable provider name used in error messages
+   */
+  constructor({ baseUrl, apiKey = null, name = 'OpenAI-compatible' } = {}) {
+    if (!baseUrl) {
+      throw new Error(`${name} provider requires a baseUrl (set it on the model entry or in OPENAI_COMPATIBLE_BASE_URL)`);
+    }
+
+    this.name = name;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * Build the instance for a model entry, reading URL and key from the entry or env.
+   *
+   * @param {Object} modelConfig - ModelsConfig entry
+   * @returns {OpenAICompatibleProvider}
+   */
+  static fromModelConfig(modelConfig = {}) {
+    const apiKeyEnv = modelConfig.apiKeyEnv || 'OPENAI_COMPATIBLE_API_KEY';
+    return new OpenAICompatibleProvider({
+      baseUrl: modelConfig.baseUrl || process.env.OPENAI_COMPATIBLE_BASE_URL,
+      apiKey: process.env[apiKeyEnv] || null
+    });
+  }
+
+  /**
+   * Headers sent with every request
+   * @returns {Object}
+   */
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Adapt the OpenRouter-flavoured request body built by callLLM to the plain
+   * OpenAI schema. OpenRouter's `reasoning: { effort }` becomes `reasoning_effort`.
+   *
+   * @param {Object} requestBody
+   * @returns {Object}
+   */
+  prepareBody(requestBody) {
+    const { reasoning, ...body } = requestBody;
+    if (reasoning && reasoning.effort && body.reasoning_effort === undefined) {
+      body.reasoning_effort = reasoning.effort;
+    }
+    return body;
+  }
+
+  /**
+   * Send a chat completion request
+   *
+   * @param {Object} requestBody - Chat completion request ({ model, messages, ... })
+   * @param {Object} [modelConfig] - ModelsConfig entry of the model
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request (used for timeouts)
+   * @returns {Promise<Object>} - Raw response body in the OpenAI format
+   */
+  async complete(requestBody, modelConfig = {}, { signal } = {}) {
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      this.prepareBody(requestBody),
+      { headers: this.getHeaders(), signal }
+    );
+
+    return response.data;
+  }
+
+  /**
+   * Send a chat completion request as a server-sent event stream
+   *
+   * @param {Object} requestBody - Chat completion request ({ model, messages, ... })
+   * @param {Object} [modelConfig] - ModelsConfig entry of the model
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request (timeouts, exceeded budgets)
+   * @param {Function} options.onChunk - Called with every `chat.completion.chunk`
+   * @returns {Promise<void>} - Resolves when the stream has ended
+   */
+  async stream(requestBody, modelConfig = {}, { signal, onChunk } = {}) {
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      { ...this.prepareBody(requestBody), stream: true, stream_options: { include_usage: true } },
+      { headers: this.getHeaders(), signal, responseType: 'stream' }
+    );
+
+    await readServerSentEvents(response.data, onChunk, this.name);
+  }
+}
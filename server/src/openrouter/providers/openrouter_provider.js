@@ -0,0 +1,34 @@
+import { OpenAICompatibleProvider } from './openai_compatible_provider.js';
+
+export const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+
+/**
+ * OpenRouter provider – the default for every model entry without a `provider`.
+ *
+ * The API key is only required once a request is actually sent, so scripts that
+ * run exclusively against local or stub models work without OPENROUTER_API_KEY.
+ */
+export class OpenRouterProvider extends OpenAICompatibleProvider {
+  constructor() {
+    super({ baseUrl: OPENROUTER_BASE_URL, name: 'OpenRouter' });
+  }
+
+  /**
+   * OpenRouter understands `reasoning` natively – send the body untouched, but ask
+   * for usage accounting so the response reports the actual cost of the call.
+   */
+  prepareBody(requestBody) {
+    return { usage: { include: true }, ...requestBody };
+  }
+
+  getHeaders() {
+    if (!process.env.OPENROUTER_API_KEY) {
+      throw new Error('OPENROUTER_API_KEY is not set in environment variables');
+    }
+
+    return {
+      Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}`,
+      'Content-Type': 'application/json'
+    };
+  }
+}
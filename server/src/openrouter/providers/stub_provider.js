@@ -0,0 +1,136 @@
+/**
+ * Scripted stub provider – answers chat completion requests from a fixed script
+ * instead of a model. Used to run create/validate/solve cycles offline.
+ *
+ * A script is an array of entries, checked in order against the last user message:
+ *   - 'text'                               – always matches, returns the text
+ *   - { match: 'substring'|/regex/, response } – matches when the message matches
+ *   - (requestBody) => string|Object          – called for every request
+ * `response` may itself be a string or a function of the request body. Returning an
+ * object with `choices` passes it through untouched, anything else is wrapped into
+ * an OpenAI-style completion.
+ *
+ * Scripts come from the model entry (`provider: 'stub', responses: [...]`) or are
+ * registered at runtime with `StubProvider.script(apiName, entries)`.
+ *
+ * Streamed requests replay the scripted response in small chunks; set `streamDelayMs`
+ * on the model entry to pause between chunks (to exercise time budgets).
+ */
+/** Characters per streamed chunk */
+const STREAM_CHUNK_CHARS = 16;
+
+export class StubProvider {
+  /** Scripts registered at runtime, keyed by model apiName */
+  static scripts = new Map();
+
+  /**
+   * Register (or replace) the script used for a stub model
+   *
+   * @param {string} apiName - Model apiName the script answers for
+   * @param {Array} entries - Script entries (see class docs)
+   */
+  static script(apiName, entries = []) {
+    StubProvider.scripts.set(apiName, entries);
+  }
+
+  /**
+   * Remove every runtime script
+   */
+  static reset() {
+    StubProvider.scripts.clear();
+  }
+
+  constructor(modelConfig = {}) {
+    this.name = 'Stub';
+    this.modelConfig = modelConfig;
+  }
+
+  /**
+   * @param {Object} requestBody - Chat completion request ({ model, messages, ... })
+   * @returns {Promise<Object>} - OpenAI-style response body
+   */
+  async complete(requestBody) {
+    const entries = StubProvider.scripts.get(requestBody.model) || this.modelConfig.responses || [];
+    const lastUserMessage = [...(requestBody.messages || [])].reverse().find(m => m.role === 'user');
+    const prompt = lastUserMessage ? String(lastUserMessage.content) : '';
+
+    for (const entry of entries) {
+      const response = this._resolveEntry(entry, prompt, requestBody);
+      if (response === undefined) continue;
+
+      if (response && typeof response === 'object' && Array.isArray(response.choices)) {
+        return response;
+      }
+
+      return {
+        id: `stub-${Date.now()}`,
+        model: requestBody.model,
+        choices: [{
+          index: 0,
+          finish_reason: 'stop',
+          message: {
+            role: 'assistant',
+            content: typeof response === 'string' ? response : JSON.stringify(response)
+          }
+        }]
+      };
+    }
+
+    throw new Error(`Stub provider has no scripted response for model ${requestBody.model}`);
+  }
+
+  /**
+   * Replay the scripted response as a stream of `chat.completion.chunk` objects
+   *
+   * @param {Object} requestBody - Chat completion request ({ model, messages, ... })
+   * @param {Object} [modelConfig] - ModelsConfig entry of the model
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops the stream
+   * @param {Function} options.onChunk - Called with every chunk
+   * @returns {Promise<void>}
+   */
+  async stream(requestBody, modelConfig = {}, { signal, onChunk } = {}) {
+    const response = await this.complete(requestBody);
+    const choice = response.choices[0] || {};
+    const message = choice.message || {};
+    const delayMs = this.modelConfig.streamDelayMs || 0;
+
+    const deltas = [];
+    for (const [field, text] of [['reasoning', message.reasoning], ['content', message.content]]) {
+      for (let i = 0; typeof text === 'string' && i < text.length; i += STREAM_CHUNK_CHARS) {
+        deltas.push({ [field]: text.slice(i, i + STREAM_CHUNK_CHARS) });
+      }
+    }
+
+    for (const delta of deltas) {
+      await new Promise(resolve => (delayMs ? setTimeout(resolve, delayMs) : setImmediate(resolve)));
+      if (signal && signal.aborted) {
+        throw new Error('Stub stream aborted');
+      }
+      onChunk({ id: response.id, model: response.model, choices: [{ index: 0, delta, finish_reason: null }] });
+    }
+
+    onChunk({
+      id: response.id,
+      model: response.model,
+      choices: [{ index: 0, delta: {}, finish_reason: choice.finish_reason || 'stop' }],
+      ...(response.usage ? { usage: response.usage } : {})
+    });
+  }
+
+  /**
+   * Resolve a single script entry, returning undefined when it does not match
+   * @private
+   */
+  _resolveEntry(entry, prompt, requestBody) {
+    if (typeof entry === 'string') return entry;
+    if (typeof entry === 'function') return entry(requestBody);
+    if (!entry || typeof entry !== 'object') return undefined;
+
+    const { match, response } = entry;
+    if (match instanceof RegExp && !match.test(prompt)) return undefined;
+    if (typeof match === 'string' && !prompt.includes(match)) return undefined;
+
+    return typeof response === 'function' ? response(requestBody) : response;
+  }
+}
@@ -0,0 +1,116 @@
+import { LLMError, LLMErrorKinds, classifyError } from './llm_errors.js';
+
+/**
+ * Default retry policy for LLM requests. Every field can be overridden per model
+ * with `retry: { ... }` on its ModelsConfig entry, and the defaults through env:
+ *   LLM_MAX_ATTEMPTS, LLM_TIMEOUT_MS
+ */
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 4,          // total attempts, including the first one
+  baseDelayMs: 2000,       // first backoff delay, doubled on every retry
+  maxDelayMs: 60000,       // cap for a single backoff delay (also caps Retry-After)
+  jitter: 0.5,             // +/- fraction of random jitter applied to each delay
+  timeoutMs: 6 * 60 * 1000 // hard wall-clock cap per attempt (thinking time included)
+};
+
+/**
+ * Resolve the effective retry policy for a model
+ *
+ * @param {Object} modelConfig - ModelsConfig entry
+ * @returns {Object} - Policy with every DEFAULT_RETRY_POLICY field set
+ */
+export function resolveRetryPolicy(modelConfig = {}) {
+  const envDefaults = {};
+  if (process.env.LLM_MAX_ATTEMPTS) envDefaults.maxAttempts = parseInt(process.env.LLM_MAX_ATTEMPTS, 10);
+  if (process.env.LLM_TIMEOUT_MS) envDefaults.timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS, 10);
+
+  const policy = { ...DEFAULT_RETRY_POLICY, ...envDefaults, ...(modelConfig.retry || {}) };
+  if (typeof modelConfig.timeoutMs === 'number') {
+    policy.timeoutMs = modelConfig.timeoutMs;
+  }
+  return policy;
+}
+
+/**
+ * Backoff delay before the given retry: exponential, capped, with jitter.
+ * A server-provided Retry-After wins when it is longer.
+ *
+ * @param {number} attempt - 1-based number of the attempt that just failed
+ * @param {Object} policy - Resolved retry policy
+ * @param {LLMError} error - Error of the failed attempt
+ * @returns {number} - Delay in ms
+ */
+export function backoffDelay(attempt, policy, error) {
+  const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * (2 ** (attempt - 1)));
+  const jitterFactor = 1 + ((Math.random() * 2 - 1) * policy.jitter);
+  const delay = Math.round(exponential * jitterFactor);
+
+  if (error && error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+    return Math.min(policy.maxDelayMs, Math.max(delay, error.retryAfterMs));
+  }
+  return delay;
+}
+
+/**
+ * Run a single attempt under a hard wall-clock timeout. The attempt receives an
+ * AbortSignal which is aborted when the timeout fires; the returned promise
+ * rejects at the deadline even if the attempt ignores the signal.
+ *
+ * @param {Function} attemptFn - async ({ signal }) => result
+ * @param {number} timeoutMs - Timeout in ms (0 or less disables it)
+ * @returns {Promise<*>}
+ */
+export async function withTimeout(attemptFn, timeoutMs) {
+  const controller = new AbortController();
+  if (!timeoutMs || timeoutMs <= 0) {
+    return attemptFn({ signal: controller.signal });
+  }
+
+  let timer = null;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new LLMError(`LLM request exceeded the ${Math.round(timeoutMs / 1000)}s time limit`, {
+        kind: LLMErrorKinds.TIMEOUT,
+        retryable: false
+      }));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([attemptFn({ signal: controller.signal }), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run an LLM request with retries. Failures are classified into LLMErrors; only
+ * retryable ones (rate limits, 5xx, network blips) are attempted again.
+ *
+ * @param {Function} attemptFn - async ({ signal, attempt }) => result
+ * @param {Object} policy - Resolved retry policy (see resolveRetryPolicy)
+ * @param {string} [label='LLM request'] - Name used in log lines
+ * @param {Function} [schedule] - async (run) => result; gates every attempt (see scheduler.js).
+ *                                Time spent queued does not count towards the attempt timeout.
+ * @returns {Promise<*>} - Result of the first successful attempt
+ * @throws {LLMError} - Error of the last attempt, with `attempts` set
+ */
+export async function withRetry(attemptFn, policy, label = 'LLM request', schedule = run => run()) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await schedule(() => withTimeout(({ signal }) => attemptFn({ signal, attempt }), policy.timeoutMs));
+    } catch (rawError) {
+      const error = classifyError(rawError);
+      error.attempts = attempt;
+
+      if (!error.retryable || attempt >= policy.maxAttempts) {
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, policy, error);
+      console.warn(`⚠️  ${label} failed (${error.kind}${error.status ? ` ${error.status}` : ''}): ${error.message} – retry ${attempt}/${policy.maxAttempts - 1} in ${(delay / 1000).toFixed(1)}s`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
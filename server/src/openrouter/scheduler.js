@@ -0,0 +1,198 @@
+/**
+ * Shared scheduler in front of every provider request.
+ *
+ * Solving models × questions and creating worlds in parallel fans out far more
+ * requests than providers accept at once. Every attempt made by callLLM is queued
+ * here and only started when
+ *   - fewer than `maxConcurrent` requests are in flight overall (LLM_MAX_CONCURRENCY),
+ *   - fewer than the model's `concurrency` requests are in flight for that model, and
+ *   - fewer than the model's `rpm` requests were started during the last minute.
+ * `concurrency` and `rpm` are optional fields of the model's ModelsConfig entry.
+ * Queued requests start in FIFO order; a model at its limit never blocks other models.
+ */
+
+/** Default global in-flight limit when LLM_MAX_CONCURRENCY is not set (0 = unlimited) */
+export const DEFAULT_MAX_CONCURRENCY = 16;
+
+const MINUTE_MS = 60 * 1000;
+
+export class LLMScheduler {
+  /**
+   * @param {Object} options
+   * @param {number} [options.maxConcurrent=DEFAULT_MAX_CONCURRENCY] - Global in-flight limit (0 or less = unlimited)
+   */
+  constructor({ maxConcurrent = DEFAULT_MAX_CONCURRENCY } = {}) {
+    this.maxConcurrent = maxConcurrent > 0 ? maxConcurrent : Infinity;
+    this.inFlight = 0;
+    this.peakInFlight = 0;
+    this.queue = [];
+    this.models = new Map();
+    this._timer = null;
+    this._timerAt = Infinity;
+  }
+
+  /**
+   * Run a request once the global and per-model limits allow it
+   *
+   * @param {string} model - Model API name
+   * @param {Object} modelConfig - ModelsConfig entry (`concurrency`, `rpm`)
+   * @param {Function} task - async () => result
+   * @returns {Promise<*>} - Result of the task
+   */
+  async run(model, modelConfig, task) {
+    const state = this._modelState(model, modelConfig);
+
+    await new Promise(resolve => {
+      this.queue.push({ state, resolve, queuedAt: Date.now() });
+      state.queued += 1;
+      state.peakQueued = Math.max(state.peakQueued, state.queued);
+      this._drain();
+    });
+
+    try {
+      const result = await task();
+      state.completed += 1;
+      return result;
+    } catch (error) {
+      state.failed += 1;
+      throw error;
+    } finally {
+      this.inFlight -= 1;
+      state.inFlight -= 1;
+      this._drain();
+    }
+  }
+
+  /**
+   * Queue metrics: global counters plus one entry per model
+   * @returns {Object}
+   */
+  metrics() {
+    const byModel = {};
+    for (const [model, state] of this.models) {
+      byModel[model] = {
+        inFlight: state.inFlight,
+        queued: state.queued,
+        started: state.started,
+        completed: state.completed,
+        failed: state.failed,
+        peakQueued: state.peakQueued,
+        avgWaitMs: state.started > 0 ? Math.round(state.totalWaitMs / state.started) : 0,
+        maxWaitMs: state.maxWaitMs,
+        concurrency: Number.isFinite(state.concurrency) ? state.concurrency : null,
+        rpm: Number.isFinite(state.rpm) ? state.rpm : null
+      };
+    }
+
+    return {
+      maxConcurrent: Number.isFinite(this.maxConcurrent) ? this.maxConcurrent : null,
+      inFlight: this.inFlight,
+      peakInFlight: this.peakInFlight,
+      queued: this.queue.length,
+      byModel
+    };
+  }
+
+  /**
+   * Per-model bookkeeping, created on first use. Limits are refreshed from the
+   * config on every call so an edited entry takes effect immediately.
+   * @private
+   */
+  _modelState(model, modelConfig = {}) {
+    if (!this.models.has(model)) {
+      this.models.set(model, {
+        inFlight: 0,
+        queued: 0,
+        started: 0,
+        completed: 0,
+        failed: 0,
+        peakQueued: 0,
+        totalWaitMs: 0,
+        maxWaitMs: 0,
+        startTimes: []
+      });
+    }
+
+    const state = this.models.get(model);
+    state.concurrency = modelConfig.concurrency > 0 ? modelConfig.concurrency : Infinity;
+    state.rpm = modelConfig.rpm > 0 ? modelConfig.rpm : Infinity;
+    return state;
+  }
+
+  /**
+   * Start every queued request the limits allow, and schedule a wake-up for
+   * requests that only wait on a requests-per-minute window.
+   * @private
+   */
+  _drain() {
+    const now = Date.now();
+    let nextWakeUp = Infinity;
+
+    for (let i = 0; i < this.queue.length && this.inFlight < this.maxConcurrent; ) {
+      const entry = this.queue[i];
+      const { state } = entry;
+
+      // Forget starts older than the rate window
+      while (state.startTimes.length > 0 && now - state.startTimes[0] >= MINUTE_MS) {
+        state.startTimes.shift();
+      }
+
+      if (state.inFlight >= state.concurrency) {
+        i++;
+        continue;
+      }
+      if (state.startTimes.length >= state.rpm) {
+        nextWakeUp = Math.min(nextWakeUp, state.startTimes[0] + MINUTE_MS);
+        i++;
+        continue;
+      }
+
+      this.queue.splice(i, 1);
+      const waitMs = now - entry.queuedAt;
+      state.queued -= 1;
+      state.inFlight += 1;
+      state.started += 1;
+      state.totalWaitMs += waitMs;
+      state.maxWaitMs = Math.max(state.maxWaitMs, waitMs);
+      state.startTimes.push(now);
+      this.inFlight += 1;
+      this.peakInFlight = Math.max(this.peakInFlight, this.inFlight);
+      entry.resolve();
+    }
+
+    if (Number.isFinite(nextWakeUp) && nextWakeUp < this._timerAt) {
+      clearTimeout(this._timer);
+      this._timerAt = nextWakeUp;
+      this._timer = setTimeout(() => {
+        this._timer = null;
+        this._timerAt = Infinity;
+        this._drain();
+      }, Math.max(0, nextWakeUp - now));
+    }
+  }
+}
+
+let activeScheduler = null;
+
+/**
+ * Scheduler configured from LLM_MAX_CONCURRENCY (created on first use)
+ * @returns {LLMScheduler}
+ */
+export function getScheduler() {
+  if (!activeScheduler) {
+    const maxConcurrent = process.env.LLM_MAX_CONCURRENCY !== undefined && process.env.LLM_MAX_CONCURRENCY !== ''
+      ? parseInt(process.env.LLM_MAX_CONCURRENCY, 10)
+      : DEFAULT_MAX_CONCURRENCY;
+    activeScheduler = new LLMScheduler({ maxConcurrent });
+  }
+  return activeScheduler;
+}
+
+/**
+ * Replace the active scheduler
+ *
+ * @param {LLMScheduler|null} scheduler - New scheduler, or null to fall back to the env configuration
+ */
+export function setScheduler(scheduler) {
+  activeScheduler = scheduler;
+}
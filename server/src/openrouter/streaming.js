@@ -0,0 +1,306 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { BudgetExceededError, errorForStatus } from './llm_errors.js';
+
+/**
+ * Streaming support for chat completions.
+ *
+ * With streaming enabled (`stream: true` on the model entry, or LLM_STREAM=on) providers
+ * read the response as server-sent events. Content and reasoning deltas are accumulated
+ * as they arrive, mirrored to a `.partial` file next to the request log, and the request
+ * is aborted with a BudgetExceededError once it runs past its token or time budget.
+ *
+ * Budgets come from the model entry (`budget: { maxTokens, maxTimeMs }`) or from
+ * LLM_STREAM_MAX_TOKENS / LLM_STREAM_MAX_TIME_MS. Streamed token counts are estimated
+ * (characters / 4) until the provider reports real usage at the end of the stream.
+ */
+
+/** Minimum time between two writes of a partial log file */
+const PARTIAL_FLUSH_MS = 1000;
+
+const ENABLED_VALUES = ['1', 'true', 'on', 'yes'];
+
+/**
+ * Resolve whether a model's requests are streamed and the budget they run under
+ *
+ * @param {Object} [modelConfig] - ModelsConfig entry (`stream`, `budget`)
+ * @returns {{enabled: boolean, maxTokens: number, maxTimeMs: number}} - 0 means no limit
+ */
+export function resolveStreamPolicy(modelConfig = {}) {
+  const enabled = typeof modelConfig.stream === 'boolean'
+    ? modelConfig.stream
+    : ENABLED_VALUES.includes(String(process.env.LLM_STREAM || '').toLowerCase());
+
+  const budget = modelConfig.budget || {};
+  const maxTokens = budget.maxTokens ?? parseInt(process.env.LLM_STREAM_MAX_TOKENS || '0', 10);
+  const maxTimeMs = budget.maxTimeMs ?? parseInt(process.env.LLM_STREAM_MAX_TIME_MS || '0', 10);
+
+  return {
+    enabled,
+    maxTokens: Number.isFinite(maxTokens) && maxTokens > 0 ? maxTokens : 0,
+    maxTimeMs: Number.isFinite(maxTimeMs) && maxTimeMs > 0 ? maxTimeMs : 0
+  };
+}
+
+/**
+ * Rough token count of streamed text, used until the provider reports usage
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Read a server-sent events body and hand every JSON `data:` payload to `onData`.
+ * Comment lines (`: keep-alive`) are skipped; `data: [DONE]` ends the stream.
+ * Errors reported inside the stream are raised as LLMErrors with the provider's code.
+ *
+ * @param {AsyncIterable<Buffer|string>} stream - Response body (e.g. axios `responseType: 'stream'`)
+ * @param {Function} onData - (payload) => void, called for every event
+ * @param {string} [providerName='LLM'] - Used in error messages
+ * @returns {Promise<void>}
+ */
+export async function readServerSentEvents(stream, onData, providerName = 'LLM') {
+  let buffer = '';
+
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) return false;
+
+    const payload = line.slice(5).trim();
+    if (payload === '[DONE]') return true;
+    if (!payload) return false;
+
+    let data;
+    try {
+      data = JSON.parse(payload);
+    } catch {
+      throw errorForStatus(502, `${providerName} sent an unparsable stream event: ${payload.slice(0, 200)}`);
+    }
+
+    if (data.error) {
+      throw errorForStatus(Number(data.error.code) || 502, `${providerName} API Error: ${data.error.message}`);
+    }
+
+    onData(data);
+    return false;
+  };
+
+  try {
+    for await (const chunk of stream) {
+      buffer += typeof chunk === 'string' ? chunk : chunk.toString('utf8');
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).replace(/\r$/, '');
+        buffer = buffer.slice(newline + 1);
+        if (handleLine(line)) return;
+      }
+    }
+
+    if (buffer) handleLine(buffer.replace(/\r$/, ''));
+  } finally {
+    if (typeof stream.destroy === 'function') stream.destroy();
+  }
+}
+
+/**
+ * Accumulates streamed chat completion chunks into a regular response body
+ */
+export class StreamAccumulator {
+  constructor() {
+    this.id = null;
+    this.model = null;
+    this.content = '';
+    this.reasoning = '';
+    this.finishReason = null;
+    this.usage = null;
+  }
+
+  /**
+   * Add one `chat.completion.chunk`
+   * @param {Object} chunk
+   */
+  add(chunk) {
+    this.id = this.id || chunk.id || null;
+    this.model = this.model || chunk.model || null;
+    if (chunk.usage) this.usage = chunk.usage;
+
+    const choice = chunk.choices && chunk.choices[0];
+    if (!choice) return;
+
+    const delta = choice.delta || {};
+    if (typeof delta.content === 'string') this.content += delta.content;
+
+    // OpenRouter streams `reasoning`, vLLM / DeepSeek-style servers `reasoning_content`
+    const reasoning = delta.reasoning ?? delta.reasoning_content;
+    if (typeof reasoning === 'string') this.reasoning += reasoning;
+
+    if (choice.finish_reason) this.finishReason = choice.finish_reason;
+  }
+
+  /**
+   * Completion tokens so far – reported by the provider when available, otherwise estimated
+   * @returns {number}
+   */
+  completionTokens() {
+    if (this.usage && typeof this.usage.completion_tokens === 'number') {
+      return this.usage.completion_tokens;
+    }
+    return estimateTokens(this.content) + estimateTokens(this.reasoning);
+  }
+
+  /**
+   * Usage block for the stream: the provider's, or an estimate when the stream was cut short
+   * @returns {Object}
+   */
+  usageOrEstimate() {
+    return this.usage || { prompt_tokens: 0, completion_tokens: this.completionTokens(), estimated: true };
+  }
+
+  /**
+   * The accumulated stream as an OpenAI-style completion body
+   * @returns {Object}
+   */
+  toResponse() {
+    const message = { role: 'assistant', content: this.content };
+    if (this.reasoning) message.reasoning = this.reasoning;
+
+    return {
+      id: this.id,
+      model: this.model,
+      choices: [{ index: 0, finish_reason: this.finishReason, message }],
+      usage: this.usage
+    };
+  }
+}
+
+/**
+ * Mirrors a streaming response to `<logDir>/<timestamp>-<model>.partial` while it arrives,
+ * so long generations can be followed (and survive a crash). Writes are throttled; the
+ * file is removed once the request has been logged in full.
+ */
+export class PartialLog {
+  /**
+   * @param {string} logDir - Request log directory
+   * @param {string} model - Model API name
+   */
+  constructor(logDir, model) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    this.file = path.join(logDir, `${stamp}-${model.replace(/[^a-zA-Z0-9._-]+/g, '_')}.partial`);
+    this.lastFlush = 0;
+    this.pending = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Schedule a write of the accumulated text
+   * @param {StreamAccumulator} accumulator
+   */
+  update(accumulator) {
+    this.pending = accumulator.reasoning
+      ? `=== reasoning ===\n${accumulator.reasoning}\n\n=== content ===\n${accumulator.content}`
+      : accumulator.content;
+
+    if (Date.now() - this.lastFlush >= PARTIAL_FLUSH_MS) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Write the latest text now
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this.pending === null) return this.writing;
+
+    const text = this.pending;
+    this.pending = null;
+    this.lastFlush = Date.now();
+    this.writing = this.writing
+      .then(() => fs.outputFile(this.file, text, 'utf8'))
+      .catch(error => console.error('Failed to write partial LLM response:', error.message));
+    return this.writing;
+  }
+
+  /**
+   * Remove the partial file once the full request has been logged
+   * @returns {Promise<void>}
+   */
+  async discard() {
+    this.pending = null;
+    await this.writing;
+    await fs.remove(this.file).catch(() => {});
+  }
+}
+
+/**
+ * Stream a completion through a provider, enforcing the policy's budget
+ *
+ * @param {Object} provider - Provider implementing `stream(requestBody, modelConfig, { signal, onChunk })`
+ * @param {Object} requestBody - Chat completion request body
+ * @param {Object} modelConfig - ModelsConfig entry for the model
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Aborts the request (attempt timeout)
+ * @param {Object} options.policy - Resolved stream policy (see resolveStreamPolicy)
+ * @param {PartialLog} [options.partialLog] - Receives the text as it arrives
+ * @returns {Promise<Object>} - OpenAI-style completion body
+ * @throws {BudgetExceededError} - When the token or time budget runs out
+ */
+export async function streamCompletion(provider, requestBody, modelConfig, { signal, policy, partialLog = null }) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) abort();
+    signal.addEventListener('abort', abort);
+  }
+
+  const accumulator = new StreamAccumulator();
+  const startedAt = Date.now();
+  let budgetError = null;
+
+  const exceed = (limit) => {
+    if (budgetError) return;
+    const elapsedMs = Date.now() - startedAt;
+    const tokens = accumulator.completionTokens();
+    const detail = limit === 'tokens'
+      ? `${tokens} completion tokens (budget ${policy.maxTokens})`
+      : `${(elapsedMs / 1000).toFixed(1)}s (budget ${(policy.maxTimeMs / 1000).toFixed(1)}s)`;
+
+    budgetError = new BudgetExceededError(`LLM response exceeded its ${limit} budget after ${detail}`, {
+      limit,
+      budget: { maxTokens: policy.maxTokens, maxTimeMs: policy.maxTimeMs },
+      tokens,
+      elapsedMs,
+      partialResponse: accumulator.content,
+      partialReasoning: accumulator.reasoning,
+      usage: accumulator.usageOrEstimate()
+    });
+    controller.abort();
+  };
+
+  const timer = policy.maxTimeMs ? setTimeout(() => exceed('time'), policy.maxTimeMs) : null;
+
+  try {
+    await provider.stream(requestBody, modelConfig, {
+      signal: controller.signal,
+      onChunk: (chunk) => {
+        if (budgetError) return;
+        accumulator.add(chunk);
+        if (partialLog) partialLog.update(accumulator);
+        if (policy.maxTokens && accumulator.completionTokens() > policy.maxTokens) exceed('tokens');
+      }
+    });
+  } catch (error) {
+    if (budgetError) throw budgetError;
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', abort);
+    if (partialLog) await partialLog.flush();
+  }
+
+  if (budgetError) throw budgetError;
+  return accumulator.toResponse();
+}
@@ -0,0 +1,173 @@
+/**
+ * Token usage and cost accounting for LLM calls.
+ *
+ * Every call made through callLLM is
+ *   1. added to the in-process `usageTracker` (read by BenchmarkReporter), and
+ *   2. persisted to the `llm_calls` table, attributed to role / world / question.
+ * Persistence is best-effort: a missing database never fails an LLM call.
+ */
+
+/**
+ * Extract token counts and cost from an OpenAI-style response body.
+ * Cost comes from the provider when it reports one (OpenRouter `usage.cost`),
+ * otherwise from the model's `pricing` (USD per million tokens).
+ *
+ * @param {Object|null} usage - `usage` block of the response
+ * @param {Object} modelConfig - ModelsConfig entry (may hold `pricing: { prompt, completion }`)
+ * @returns {Object} - { promptTokens, completionTokens, reasoningTokens, totalTokens, cost, costSource }
+ */
+export function extractUsage(usage, modelConfig = {}) {
+  const promptTokens = usage?.prompt_tokens || 0;
+  const completionTokens = usage?.completion_tokens || 0;
+  const reasoningTokens = usage?.completion_tokens_details?.reasoning_tokens || usage?.reasoning_tokens || 0;
+  const totalTokens = usage?.total_tokens || (promptTokens + completionTokens);
+
+  let cost = null;
+  let costSource = null;
+  if (typeof usage?.cost === 'number') {
+    cost = usage.cost;
+    costSource = 'provider';
+  } else if (usage && modelConfig.pricing) {
+    const { prompt = 0, completion = 0 } = modelConfig.pricing;
+    cost = ((promptTokens * prompt) + (completionTokens * completion)) / 1e6;
+    costSource = 'pricing';
+  }
+
+  return { promptTokens, completionTokens, reasoningTokens, totalTokens, cost, costSource };
+}
+
+/**
+ * Empty aggregate bucket
+ * @returns {Object}
+ */
+function emptyTotals() {
+  return { calls: 0, failedCalls: 0, promptTokens: 0, completionTokens: 0, reasoningTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+/**
+ * Add a call to an aggregate bucket
+ * @param {Object} totals - Bucket to update
+ * @param {Object} call - Call record (see UsageTracker.record)
+ */
+function addToTotals(totals, call) {
+  totals.calls += 1;
+  if (call.status === 'error') totals.failedCalls += 1;
+  totals.promptTokens += call.promptTokens || 0;
+  totals.completionTokens += call.completionTokens || 0;
+  totals.reasoningTokens += call.reasoningTokens || 0;
+  totals.totalTokens += call.totalTokens || 0;
+  // Replayed calls cost nothing in this run
+  if (!call.replayed) totals.cost += call.cost || 0;
+}
+
+/**
+ * In-process aggregate of every LLM call, used by long-running scripts to report
+ * usage without querying the database.
+ */
+export class UsageTracker {
+  constructor() {
+    this.calls = [];
+  }
+
+  /**
+   * @param {Object} call - { model, role, worldId, questionId, promptTokens, completionTokens,
+   *                        reasoningTokens, totalTokens, cost, status, replayed }
+   */
+  record(call) {
+    this.calls.push(call);
+  }
+
+  /**
+   * Position marker for `summary(since)`
+   * @returns {number}
+   */
+  mark() {
+    return this.calls.length;
+  }
+
+  /**
+   * Aggregate the calls recorded since a mark
+   *
+   * @param {number} [since=0] - Value returned by mark()
+   * @returns {{ total: Object, byRole: Object, byModel: Object }}
+   */
+  summary(since = 0) {
+    const result = { total: emptyTotals(), byRole: {}, byModel: {} };
+
+    for (const call of this.calls.slice(since)) {
+      const role = call.role || 'unknown';
+      if (!result.byRole[role]) result.byRole[role] = emptyTotals();
+      if (!result.byModel[call.model]) result.byModel[call.model] = emptyTotals();
+
+      addToTotals(result.total, call);
+      addToTotals(result.byRole[role], call);
+      addToTotals(result.byModel[call.model], call);
+    }
+
+    return result;
+  }
+}
+
+export const usageTracker = new UsageTracker();
+
+let persistenceDisabled = false;
+
+/**
+ * Sequelize connection errors that will not go away by themselves (no server, wrong host,
+ * bad credentials). Pool and connect timeouts are transient and only fail the one call.
+ */
+const UNREACHABLE_DATABASE_ERRORS = new Set([
+  'SequelizeConnectionRefusedError',
+  'SequelizeHostNotFoundError',
+  'SequelizeHostNotReachableError',
+  'SequelizeAccessDeniedError',
+  'SequelizeInvalidConnectionError'
+]);
+
+/**
+ * Record a finished LLM call in the tracker and the `llm_calls` table
+ *
+ * @param {Object} call - See UsageTracker.record, plus correlationId, promptFile, durationMs, errorKind, costSource
+ * @returns {Promise<void>}
+ */
+export async function recordLLMCall(call) {
+  usageTracker.record(call);
+
+  if (persistenceDisabled || process.env.LLM_CALLS_PERSIST === 'off') return;
+  if (!process.env.PG_DATABASE_URL) {
+    persistenceDisabled = true;
+    console.warn('⚠️  LLM call persistence disabled: PG_DATABASE_URL is not set');
+    return;
+  }
+
+  try {
+    // Loaded lazily so callLLM stays usable without a database configuration
+    const { LLMCallHelpers } = await import('../models/LLMCall.js');
+    await LLMCallHelpers.createCall({
+      model: call.model,
+      role: call.role,
+      world_id: call.worldId,
+      question_id: call.questionId,
+      correlation_id: call.correlationId,
+      prompt_file: call.promptFile,
+      prompt_tokens: call.promptTokens,
+      completion_tokens: call.completionTokens,
+      reasoning_tokens: call.reasoningTokens,
+      total_tokens: call.totalTokens,
+      cost: call.cost,
+      cost_source: call.costSource,
+      duration_ms: call.durationMs,
+      status: call.status,
+      error_kind: call.errorKind,
+      replayed: call.replayed
+    });
+  } catch (error) {
+    // Without a reachable database there is no point trying again on every call
+    if (UNREACHABLE_DATABASE_ERRORS.has(error.name)) {
+      persistenceDisabled = true;
+      console.warn(`⚠️  LLM call persistence disabled: ${error.message}`);
+      return;
+    }
+    console.error('Failed to persist LLM call:', error.message);
+  }
+}
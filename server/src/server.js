@@ -44,12 +44,14 @@ class Server {
     // World routes
     this.app.get('/api/worlds', WorldController.getWorlds);
     this.app.get('/api/worlds/:id/solutions', WorldController.getWorldSolutions);
+    this.app.get('/api/worlds/:id/solution-runs', WorldController.getWorldSolutionRuns);
     this.app.delete('/api/worlds/:id', adminGuard, WorldController.deleteWorld);
     this.app.patch('/api/worlds/:id/set', adminGuard, WorldController.updateWorldSet);
     
     // Statistics routes
     this.app.get('/api/solver-stats', WorldController.getSolverStats);
     this.app.get('/api/creator-stats', WorldController.getCreatorStats);
+    this.app.get('/api/cost-stats', WorldController.getCostStats);
     
     // SPA fallback: for non-API GET requests, serve index.html from client build
     this.app.get('*', (req, res, next) => {
@@ -1,5 +1,6 @@
 /*
- * BenchmarkReporter – Collects timing and count statistics for CVRB benchmark scripts.
+ * BenchmarkReporter – Collects timing, count and LLM usage statistics for CVRB benchmark scripts.
+ * Token usage and cost come from the in-process usageTracker fed by callLLM.
  *
  * Usage:
  *   const reporter = new BenchmarkReporter();
@@ -13,9 +14,13 @@
  *   reporter.report();
  */
 
+import { usageTracker } from '../openrouter/usage.js';
+import { getScheduler } from '../openrouter/scheduler.js';
+
 export class BenchmarkReporter {
   constructor () {
     this._scriptStart = process.hrtime.bigint();
+    this._usageStart = usageTracker.mark();
     this._creators = [];
   }
 
@@ -36,6 +41,8 @@ export class BenchmarkReporter {
       validWorlds: 0,
       invalidWorlds: 0,
       solvedWorlds: 0,
+      usageMark: usageTracker.mark(),
+      usage: null,
     };
   }
 
@@ -70,6 +77,7 @@ export class BenchmarkReporter {
    */
   endCreator () {
     if (!this._current) throw new Error('startCreator() must be called first');
+    this._current.usage = usageTracker.summary(this._current.usageMark);
     this._creators.push(this._current);
     this._current = null;
   }
@@ -91,8 +99,31 @@ export class BenchmarkReporter {
       console.log(`  Worlds solved: ${c.solvedWorlds}`);
       console.log(`  Solve time   : ${this._formatNs(c.solveTime)}`);
       console.log(`  Total time   : ${this._formatNs(totalCreatorTime)}`);
+      console.log(`  LLM calls    : ${c.usage.total.calls} (${c.usage.total.failedCalls} failed)`);
+      console.log(`  Tokens       : ${this._formatTokens(c.usage.total)}`);
+      console.log(`  Cost         : ${this._formatCost(c.usage.total.cost)}`);
       console.log('--------------------------------------------------');
     }
+
+    const usage = usageTracker.summary(this._usageStart);
+    console.log('LLM usage by role:');
+    for (const [role, totals] of Object.entries(usage.byRole)) {
+      console.log(`  ${role.padEnd(10)}: ${totals.calls} calls, ${this._formatTokens(totals)}, ${this._formatCost(totals.cost)}`);
+    }
+    console.log('LLM usage by model:');
+    for (const [model, totals] of Object.entries(usage.byModel)) {
+      console.log(`  ${model}: ${totals.calls} calls, ${this._formatTokens(totals)}, ${this._formatCost(totals.cost)}`);
+    }
+    console.log('--------------------------------------------------');
+    console.log(`Script total tokens: ${this._formatTokens(usage.total)}`);
+    console.log(`Script total cost  : ${this._formatCost(usage.total.cost)}`);
+
+    const queue = getScheduler().metrics();
+    console.log(`LLM queue (max ${queue.maxConcurrent ?? '∞'} in flight, peak ${queue.peakInFlight}):`);
+    for (const [model, m] of Object.entries(queue.byModel)) {
+      console.log(`  ${model}: ${m.started} started, peak queue ${m.peakQueued}, avg wait ${this._formatNs(BigInt(m.avgWaitMs) * 1000000n)}, max wait ${this._formatNs(BigInt(m.maxWaitMs) * 1000000n)}`);
+    }
+    console.log('--------------------------------------------------');
     console.log(`Script total time: ${this._formatNs(scriptDuration)}`);
     console.log('==================================================\n');
   }
@@ -115,5 +146,24 @@ export class BenchmarkReporter {
     const sec = (s % 60).toFixed(0).padStart(2, '0');
     return `${m}:${sec} min`;
   }
+
+  /**
+   * Format token totals as "prompt in / completion out (reasoning)".
+   * @param {object} totals – usage totals from usageTracker.summary()
+   * @returns {string}
+   */
+  _formatTokens (totals) {
+    const reasoning = totals.reasoningTokens ? ` (${totals.reasoningTokens.toLocaleString()} reasoning)` : '';
+    return `${totals.promptTokens.toLocaleString()} in / ${totals.completionTokens.toLocaleString()} out${reasoning}`;
+  }
+
+  /**
+   * Format a USD amount.
+   * @param {number} cost
+   * @returns {string}
+   */
+  _formatCost (cost) {
+    return `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+  }
 }
 